@@ -0,0 +1,57 @@
+/**
+ * DiceSkinsConfig – Per-player skin picker.
+ *
+ * Lists every dice that declares skins in its dice.json and lets the
+ * current user choose which one Dice So Nice should roll for them.  The
+ * choice is stored in the `diceSkins` client setting (denomination ->
+ * skin id); "Default" uses the dice's own textures.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { diceIcon } from "./symbols.js";
+
+export class DiceSkinsConfig extends FormApplication {
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "ekd-dice-skins",
+            template: `modules/${MODULE_ID}/templates/dice-skins.hbs`,
+            width: 420,
+            height: "auto",
+            classes: ["ekd-config", "ekd-skins"],
+        });
+    }
+
+    get title() {
+        return game.i18n.localize("EKD.Skins.Title");
+    }
+
+    /* ── Data for Handlebars ── */
+
+    getData() {
+        const chosen = game.settings.get(MODULE_ID, "diceSkins") || {};
+        const definitions = game.modules.get(MODULE_ID).api.getDefinitions();
+        const dice = definitions
+            .filter((d) => d.skins?.length)
+            .map((d) => ({
+                denomination: d.denomination,
+                name: d.name,
+                icon: diceIcon(d),
+                skins: d.skins.map((s) => ({
+                    id: s.id,
+                    name: s.name || s.id,
+                    selected: s.id === chosen[d.denomination],
+                })),
+            }));
+        return { dice, hasDSN: !!game.dice3d };
+    }
+
+    /* ── Save ── */
+
+    async _updateObject(_event, formData) {
+        const skins = {};
+        for (const [denom, skinId] of Object.entries(formData)) {
+            if (skinId) skins[denom] = skinId;
+        }
+        await game.settings.set(MODULE_ID, "diceSkins", skins);
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * DiceTray – Dice pool builder for Exotik Dices.
+ *
+ * Lists every dice definition with its icon; players click +/- to build a
+ * pool, pick a roll mode and roll it without typing a formula.  The last
+ * pools rolled are remembered per user (`recentPools` setting).
+ *
+ * Opened from a scene-control button and a configurable keybinding.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { diceIcon } from "./symbols.js";
+
+/** How many recent pools are remembered per user. */
+const MAX_RECENT_POOLS = 5;
+
+/**
+ * Turn a pool into a roll formula, e.g. { h: 2, c: 3 } → "2dh + 3dc".
+ * @param {Object<string, number>} pool  denomination -> count
+ * @returns {string}
+ */
+export function poolToFormula(pool) {
+    return Object.entries(pool || {})
+        .filter(([, n]) => n > 0)
+        .map(([denom, n]) => `${n}d${denom}`)
+        .join(" + ");
+}
+
+export class DiceTray extends Application {
+    /** @type {DiceTray|null} Single shared instance. */
+    static _instance = null;
+
+    constructor(options = {}) {
+        super(options);
+        /** denomination -> count */
+        this._pool = {};
+        this._rollMode = game.settings.get("core", "rollMode");
+    }
+
+    /** Open the tray, or close it if already open. */
+    static toggle() {
+        const tray = (DiceTray._instance ??= new DiceTray());
+        if (tray.rendered) tray.close();
+        else tray.render(true);
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "ekd-dice-tray",
+            template: `modules/${MODULE_ID}/templates/dice-tray.hbs`,
+            width: 320,
+            height: "auto",
+            resizable: false,
+            classes: ["ekd-tray"],
+        });
+    }
+
+    get title() {
+        return game.i18n.localize("EKD.Tray.Title");
+    }
+
+    /* ── Data for Handlebars ── */
+
+    getData() {
+        // Stored and in-memory (API) dice alike
+        const definitions = game.modules.get(MODULE_ID).api.getDefinitions();
+        const dice = definitions.map((d) => ({
+            denomination: d.denomination,
+            name: d.name,
+            icon: diceIcon(d),
+            count: this._pool[d.denomination] || 0,
+        }));
+
+        // v13 stores { label, icon } per mode; older cores a plain label
+        const rollModes = Object.entries(CONFIG.Dice.rollModes).map(
+            ([value, mode]) => ({
+                value,
+                label: game.i18n.localize(mode?.label ?? mode),
+                selected: value === this._rollMode,
+            }),
+        );
+
+        const known = new Set(definitions.map((d) => d.denomination));
+        const recent = (game.settings.get(MODULE_ID, "recentPools") || [])
+            .map((pool, index) => ({ index, pool, formula: poolToFormula(pool) }))
+            .filter(({ pool }) => Object.keys(pool).every((d) => known.has(d)));
+
+        return {
+            dice,
+            rollModes,
+            recent,
+            formula: poolToFormula(this._pool),
+            empty: !dice.some((d) => d.count > 0),
+        };
+    }
+
+    /* ── Listeners ── */
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        const el = html instanceof HTMLElement ? html : (html?.[0] ?? html);
+        if (!el) return;
+
+        el.addEventListener("click", (event) => {
+            const t = event.target;
+            const denom = t.closest("[data-denomination]")?.dataset.denomination;
+
+            if (t.closest(".ekd-tray-plus") && denom) {
+                event.preventDefault();
+                this._pool[denom] = (this._pool[denom] || 0) + 1;
+                this.render();
+            } else if (t.closest(".ekd-tray-minus") && denom) {
+                event.preventDefault();
+                this._pool[denom] = Math.max((this._pool[denom] || 0) - 1, 0);
+                this.render();
+            } else if (t.closest(".ekd-tray-clear")) {
+                event.preventDefault();
+                this._pool = {};
+                this.render();
+            } else if (t.closest(".ekd-tray-recent")) {
+                event.preventDefault();
+                const idx = parseInt(t.closest(".ekd-tray-recent").dataset.index);
+                const recent = game.settings.get(MODULE_ID, "recentPools") || [];
+                if (recent[idx]) this._pool = { ...recent[idx] };
+                this.render();
+            } else if (t.closest(".ekd-tray-roll")) {
+                event.preventDefault();
+                this._onRoll();
+            }
+        });
+
+        el.querySelector(".ekd-tray-mode")?.addEventListener("change", (e) => {
+            this._rollMode = e.target.value;
+        });
+    }
+
+    /* ── Rolling ── */
+
+    async _onRoll() {
+        const formula = poolToFormula(this._pool);
+        if (!formula) return;
+
+        try {
+            const roll = new Roll(formula);
+            await roll.evaluate();
+            await roll.toMessage(
+                { speaker: ChatMessage.getSpeaker() },
+                { rollMode: this._rollMode },
+            );
+        } catch (err) {
+            console.error(`${MODULE_ID} | Dice tray roll failed:`, err);
+            ui.notifications.error(
+                game.i18n.format("EKD.Tray.RollFailed", { formula, error: err.message }),
+            );
+            return;
+        }
+        await this._rememberPool();
+    }
+
+    /** Store the current pool at the top of the user's recent pools. */
+    async _rememberPool() {
+        const pool = Object.fromEntries(
+            Object.entries(this._pool).filter(([, n]) => n > 0),
+        );
+        const formula = poolToFormula(pool);
+        const recent = (game.settings.get(MODULE_ID, "recentPools") || [])
+            .filter((p) => poolToFormula(p) !== formula);
+        recent.unshift(pool);
+        await game.settings.set(
+            MODULE_ID,
+            "recentPools",
+            recent.slice(0, MAX_RECENT_POOLS),
+        );
+        this.render();
+    }
+}
@@ -9,19 +9,66 @@
  */
 
 import { writeDiceJson } from "./dicePorting.js";
+import {
+    PHYSICS_NUMBERS,
+    findFaces,
+    geometryProblem,
+    loadGlb,
+    parsePhysics,
+    resolvePhysics,
+} from "./geometry.js";
+import {
+    applyFaceMapping,
+    defaultFaceMapping,
+    loadGeometryMeta,
+    saveFaceMapping,
+    storedFaceMapping,
+} from "./geometryCalibration.js";
+import {
+    isGlyphAsset,
+    optimizeImage,
+    rasterizeGlyph,
+    rasterizeIcon,
+    versionedPath,
+} from "./rasterize.js";
+import { ProbabilityPanel } from "./ProbabilityPanel.js";
+import {
+    DSN_MATERIALS,
+    DSN_SFX_MODES,
+    PREVIEW_APPEARANCE,
+    buildAppearance,
+    parseAppearance,
+} from "./dsn.js";
 
 import {
     MODULE_ID,
     FP,
     GEOMETRIES_PATH,
+    USER_GEOMETRIES_DIR,
+    geometryPath,
     getUserDicePath,
 } from "./constants.js";
 
 /** Supported face counts */
 const FACE_OPTIONS = [4, 6, 8, 10, 12, 20];
 
+/** Actions a face can trigger when rolled (see faceActions.js) */
+const ACTION_TYPES = ["macro", "effect", "chat"];
+
 /* ─── Utility functions ─── */
 
+/**
+ * Display name of a geometry file: "hexagon_d6" → "Hexagon".
+ * @param {string} filename  Without extension
+ * @returns {string}
+ */
+function geometryName(filename) {
+    return filename
+        .replace(/_d\d+$/, "")
+        .replace(/_/g, " ")
+        .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
 /** Convert a dice name to a filesystem-safe slug. */
 function nameToSlug(name) {
     return (name || "")
@@ -50,6 +97,115 @@ export function resolveFace(faceMap, index, visited = new Set()) {
     return resolveFace(faceMap, face.refFace, visited);
 }
 
+/** A blank face entry, used for new dice and when the face count grows. */
+function emptyFace() {
+    return {
+        refFace: null,
+        label: "",
+        value: null,
+        symbols: {},
+        texture: "",
+        bump: "",
+        icon: "",
+        glyph: "",
+        glyphFont: "",
+        glyphColor: "",
+        sound: "",
+        sfx: "",
+        onResult: null,
+    };
+}
+
+/**
+ * Build the symbol table from expanded form data.
+ * Rows keep their form order (face symbol inputs are keyed by row index);
+ * rows without an id or label are kept as blank entries so a freshly
+ * added row survives a re-render.
+ * @param {object} rawSymbols  expandObject(formData).symbols
+ * @returns {{ id: string, label: string, icon: string }[]}
+ */
+function parseSymbols(rawSymbols) {
+    return Object.keys(rawSymbols || {})
+        .sort((a, b) => a - b)
+        .map((k) => {
+            const s = rawSymbols[k] || {};
+            const label = (s.label ?? "").trim();
+            return {
+                id: nameToSlug(s.id || label),
+                label,
+                icon: (s.icon ?? "").trim(),
+            };
+        });
+}
+
+/**
+ * Build the cancellation rules from expanded form data.
+ * Like parseSymbols, incomplete rows are kept so they survive re-renders.
+ * @param {object} rawRules  expandObject(formData).cancellations
+ * @returns {{ symbol: string, cancels: string }[]}
+ */
+function parseCancellations(rawRules) {
+    return Object.keys(rawRules || {})
+        .sort((a, b) => a - b)
+        .map((k) => ({
+            symbol: nameToSlug(rawRules[k]?.symbol),
+            cancels: nameToSlug(rawRules[k]?.cancels),
+        }));
+}
+
+/**
+ * Build a clean faceMap from expanded form data.
+ * Reference faces keep only their refFace; their own fields are blanked.
+ * @param {object} rawMap     expandObject(formData).faceMap
+ * @param {number} faceCount
+ * @param {object[]} symbols  Symbol table rows, in form order
+ * @returns {object[]}
+ */
+function parseFaceMap(rawMap, faceCount, symbols = []) {
+    const faceMap = [];
+    for (let i = 0; i < faceCount; i++) {
+        const f = rawMap[i] || {};
+        const refStr = String(f.refFace ?? "").trim();
+        const refFace = refStr !== "" ? parseInt(refStr) : null;
+        const isRef = refFace != null;
+        const value = f.value === "" || f.value == null ? null : Number(f.value);
+
+        // Symbol counts arrive keyed by symbol row index
+        const faceSymbols = {};
+        if (!isRef) {
+            for (const [idx, n] of Object.entries(f.symbols || {})) {
+                const id = symbols[idx]?.id;
+                const count = parseInt(n);
+                if (id && count > 0) faceSymbols[id] = count;
+            }
+        }
+
+        // Action run when the face comes up, only if both fields are set
+        const actionType = f.onResult?.type ?? "";
+        const actionTarget = String(f.onResult?.target ?? "").trim();
+        const onResult = !isRef && ACTION_TYPES.includes(actionType) && actionTarget
+            ? { type: actionType, target: actionTarget }
+            : null;
+
+        faceMap.push({
+            refFace,
+            label: isRef ? "" : (f.label ?? "").trim().replace(/\s+/g, "_"),
+            value: isRef || !Number.isFinite(value) ? null : value,
+            symbols: faceSymbols,
+            texture: isRef ? "" : (f.texture ?? "").trim(),
+            bump: isRef ? "" : (f.bump ?? "").trim(),
+            icon: isRef ? "" : (f.icon ?? "").trim(),
+            glyph: isRef ? "" : (f.glyph ?? "").trim(),
+            glyphFont: isRef ? "" : (f.glyphFont ?? "").trim(),
+            glyphColor: isRef ? "" : (f.glyphColor ?? "").trim(),
+            sound: isRef ? "" : (f.sound ?? "").trim(),
+            sfx: isRef ? "" : (f.sfx ?? "").trim(),
+            onResult,
+        });
+    }
+    return faceMap;
+}
+
 /**
  * Would setting faceMap[fromIdx].refFace = toIdx create a loop?
  */
@@ -82,24 +238,166 @@ async function ensureDiceFolders(slug) {
         `${base}/textures`,
         `${base}/bump_maps`,
         `${base}/chat_2d`,
+        `${base}/sounds`,
     ];
-    for (const dir of dirs) {
-        try {
-            await FP.createDirectory("data", dir);
-        } catch (e) {
-            if (
-                !e.message?.includes("EEXIST") &&
-                !e.message?.includes("already exists")
-            ) {
-                console.warn(
-                    `${MODULE_ID} | Could not create folder ${dir}:`,
-                    e.message,
-                );
-            }
+    for (const dir of dirs) await createFolder(dir);
+}
+
+/** Create a folder on the server, ignoring "already exists". */
+async function createFolder(dir) {
+    try {
+        await FP.createDirectory("data", dir);
+    } catch (e) {
+        if (
+            !e.message?.includes("EEXIST") &&
+            !e.message?.includes("already exists")
+        ) {
+            console.warn(
+                `${MODULE_ID} | Could not create folder ${dir}:`,
+                e.message,
+            );
         }
     }
 }
 
+/**
+ * Copy an asset into a dice sub-folder unless it already lives inside
+ * the dice folder.
+ * @param {string} srcPath    Current asset path
+ * @param {string} basePath   Dice folder
+ * @param {string} subfolder  e.g. "textures"
+ * @returns {Promise<string>}  The new path (or srcPath if not copied)
+ */
+async function copyAssetIntoDice(srcPath, basePath, subfolder) {
+    if (!srcPath || srcPath.startsWith(basePath + "/")) return srcPath;
+
+    const response = await fetch(srcPath);
+    if (!response.ok) return srcPath;
+    const blob = await response.blob();
+
+    const srcFilename = srcPath.split("/").pop();
+    const file = new File([blob], srcFilename, { type: blob.type });
+    const result = await FP.upload("data", `${basePath}/${subfolder}`, file, {});
+    return result?.path || srcPath;
+}
+
+/**
+ * Whether a glyph face draws the same as its saved version: same glyph,
+ * font and color (its own or the dice's fallback).
+ * @param {object} face
+ * @param {string} [color]        Fallback glyph color
+ * @param {object} [saved]        The face as saved
+ * @param {string} [savedColor]   Fallback glyph color as saved
+ * @returns {boolean}
+ */
+function glyphUnchanged(face, color, saved, savedColor) {
+    return !!saved?.glyph &&
+        face.glyph === saved.glyph &&
+        (face.glyphFont || "") === (saved.glyphFont || "") &&
+        (face.glyphColor || color || "") === (saved.glyphColor || savedColor || "");
+}
+
+/**
+ * Write the label texture and bump map of a glyph face into the dice
+ * folder.  Files the author picked by hand are kept; only empty fields
+ * and generated glyph files of a changed glyph are (re)written, so
+ * clients keep their cached textures otherwise.
+ * @param {object} face      Face entry (mutated)
+ * @param {number} index     0-based face index
+ * @param {string} basePath  Dice folder
+ * @param {string} [color]   Fallback glyph color
+ * @param {{ face?: object, color?: string }} [saved]  The face and
+ *        fallback color as saved
+ */
+async function writeGlyphAssets(face, index, basePath, color, saved = {}) {
+    const changed = !glyphUnchanged(face, color, saved.face, saved.color);
+    const writeTexture = !face.texture || (changed && isGlyphAsset(face.texture));
+    const writeBump = !face.bump || (changed && isGlyphAsset(face.bump));
+    if (!writeTexture && !writeBump) return;
+
+    // Same file names on every rewrite: version the URLs
+    const files = await rasterizeGlyph(face, index, { color });
+    if (writeTexture) {
+        const result = await FP.upload("data", `${basePath}/textures`, files.texture, {});
+        if (result?.path) face.texture = versionedPath(result.path);
+    }
+    if (writeBump) {
+        const result = await FP.upload("data", `${basePath}/bump_maps`, files.bump, {});
+        if (result?.path) face.bump = versionedPath(result.path);
+    }
+}
+
+/**
+ * Copy a texture or bump map into a dice sub-folder, resized / converted
+ * per the world's optimization settings.  The source file is kept in the
+ * dice's `originals/` folder when asked to.  Files that need no work are
+ * copied as they are.
+ * @param {string} srcPath
+ * @param {string} basePath   Dice folder
+ * @param {string} subfolder  "textures" or "bump_maps"
+ * @param {{ maxSize: number, webp: boolean, stripMetadata: boolean, keepOriginals: boolean }} options
+ * @param {{ files: number, saved: number, replaced: string[] }} report
+ *        Running totals (mutated); `replaced` lists files of the dice
+ *        folder superseded by a copy under another name
+ * @returns {Promise<string>}  The new path
+ */
+async function optimizeAssetIntoDice(srcPath, basePath, subfolder, options, report) {
+    // Generated glyph files are rewritten on every glyph change
+    if (!srcPath || isGlyphAsset(srcPath)) return srcPath;
+
+    const response = await fetch(srcPath);
+    if (!response.ok) return srcPath;
+    const blob = await response.blob();
+    const srcFilename = srcPath.split("/").pop().split("?")[0];
+
+    const file = await optimizeImage(blob, srcFilename, options);
+    if (!file) return copyAssetIntoDice(srcPath, basePath, subfolder);
+
+    // Files re-encoded on every save (stripMetadata) keep their first original
+    const originalPath = `${basePath}/originals/${srcFilename}`;
+    if (options.keepOriginals && !(await fileExists(originalPath))) {
+        await createFolder(`${basePath}/originals`);
+        const original = new File([blob], srcFilename, { type: blob.type });
+        await FP.upload("data", `${basePath}/originals`, original, {});
+    }
+    const result = await FP.upload("data", `${basePath}/${subfolder}`, file, {});
+    if (!result?.path) return srcPath;
+    report.files++;
+    report.saved += blob.size - file.size;
+    // Foundry cannot delete files: the author removes the superseded one
+    if (srcPath.startsWith(basePath + "/") && file.name !== srcFilename) {
+        report.replaced.push(srcPath.slice(basePath.length + 1).split("?")[0]);
+    }
+    return result.path;
+}
+
+/**
+ * Whether a file exists on the server.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(path) {
+    try {
+        return (await fetch(path, { method: "HEAD" })).ok;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Human-readable byte count.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const sign = bytes < 0 ? "-" : "";
+    let n = Math.abs(bytes);
+    for (const unit of ["B", "KB", "MB"]) {
+        if (n < 1024 || unit === "MB") return `${sign}${unit === "B" ? n : n.toFixed(1)} ${unit}`;
+        n /= 1024;
+    }
+}
+
 /* ─── Exported helpers ─── */
 
 /** Simple markdown → HTML for README display. */
@@ -158,6 +456,15 @@ export class ExotikDiceConfig extends FormApplication {
     /** @type {Array|null} Cached custom geometry scan results. */
     static _geometriesCache = null;
 
+    /** @type {Map<string, Array>} slug -> geometries in that dice's folder. */
+    static _dieGeometriesCache = new Map();
+
+    /**
+     * @type {Map<string, { faces: number, problem: string|null }>}
+     * GLB path -> why it can't be used with that face count.
+     */
+    static _geometryProblems = new Map();
+
     constructor(object = {}, options = {}) {
         super(object, options);
         /** null = list view; object = editing that dice. */
@@ -166,41 +473,108 @@ export class ExotikDiceConfig extends FormApplication {
         this._settingsApp = null;
         /** Serialized form data at render time (for dirty tracking). */
         this._originalSnapshot = null;
+        /** 0-based face to scroll to on the next render (health report). */
+        this._focusFace = null;
     }
 
     /* ── Geometry scanning ── */
 
     /**
-     * Scan the geometries folder for .glb files.
-     * Filename convention: *_d{N}.glb → N is face count.
+     * List the .glb files of a folder as geometry options.
+     * Filename convention: *_d{N}.glb → N is face count.  In a dice's own
+     * folder a file without the suffix (e.g. geometry.glb) is listed with
+     * `faces: null`, meaning "the dice's face count".
+     * @param {string} dir
+     * @param {"module"|"user"|"die"} source
+     * @returns {Promise<object[]>}  [] when the folder does not exist
      */
-    static async scanGeometries() {
-        if (ExotikDiceConfig._geometriesCache)
-            return ExotikDiceConfig._geometriesCache;
+    static async _browseGeometries(dir, source) {
+        let result;
         try {
-            const result = await FP.browse("data", GEOMETRIES_PATH);
-            const geos = [];
-            for (const fp of result.files || []) {
-                if (!fp.endsWith(".glb")) continue;
-                const filename = fp.split("/").pop().replace(".glb", "");
-                const m = filename.match(/_d(\d+)/);
-                if (!m) continue;
-                geos.push({
-                    file: fp,
-                    faces: parseInt(m[1]),
-                    name: filename
-                        .replace(/_d\d+$/, "")
-                        .replace(/_/g, " ")
-                        .replace(/\b\w/g, (c) => c.toUpperCase()),
-                    value: filename,
-                });
-            }
-            ExotikDiceConfig._geometriesCache = geos;
-            return geos;
-        } catch (e) {
-            console.warn(`${MODULE_ID} | scanGeometries:`, e);
+            result = await FP.browse("data", dir);
+        } catch {
             return [];
         }
+        const prefix = { module: "", user: "user:", die: "die:" }[source];
+        const geos = [];
+        for (const fp of result.files || []) {
+            if (!fp.endsWith(".glb")) continue;
+            const filename = decodeURIComponent(fp.split("/").pop()).replace(".glb", "");
+            const m = filename.match(/_d(\d+)/);
+            if (!m && source !== "die") continue;
+            geos.push({
+                file: fp,
+                faces: m ? parseInt(m[1]) : null,
+                name: geometryName(filename),
+                value: prefix + filename,
+                source,
+            });
+        }
+        return geos;
+    }
+
+    /**
+     * Scan the module's and the world's geometries folders for .glb files,
+     * plus the folder of a dice when a slug is given.
+     * @param {string} [slug]
+     * @param {number} [faces]  Face count of that dice, for its files
+     *   without a `_d{N}` suffix
+     * @returns {Promise<object[]>}
+     */
+    static async scanGeometries(slug, faces) {
+        if (!ExotikDiceConfig._geometriesCache) {
+            try {
+                ExotikDiceConfig._geometriesCache = [
+                    ...(await ExotikDiceConfig._browseGeometries(GEOMETRIES_PATH, "module")),
+                    ...(await ExotikDiceConfig._browseGeometries(
+                        `${getUserDicePath()}/${USER_GEOMETRIES_DIR}`,
+                        "user",
+                    )),
+                ];
+            } catch (e) {
+                console.warn(`${MODULE_ID} | scanGeometries:`, e);
+                return [];
+            }
+        }
+        if (!slug) return ExotikDiceConfig._geometriesCache;
+
+        const cache = ExotikDiceConfig._dieGeometriesCache;
+        if (!cache.has(slug)) {
+            cache.set(slug, await ExotikDiceConfig._browseGeometries(diceBasePath(slug), "die"));
+        }
+        const own = cache.get(slug).map((g) => (g.faces ? g : { ...g, faces }));
+        return [...ExotikDiceConfig._geometriesCache, ...own];
+    }
+
+    /** Forget scanned geometries, so new files show up on the next render. */
+    static clearGeometryCache() {
+        ExotikDiceConfig._geometriesCache = null;
+        ExotikDiceConfig._dieGeometriesCache.clear();
+    }
+
+    /**
+     * Load every scanned model once and note why it cannot be used, if it
+     * can't (`problem`).  Without Dice So Nice's loader the models are
+     * listed unchecked.
+     * @param {object[]} geos  scanGeometries() results
+     * @returns {Promise<object[]>}
+     */
+    static async checkGeometries(geos) {
+        const loader = game.dice3d?.DiceFactory?.loaderGLTF;
+        if (!loader) return geos;
+        const problems = ExotikDiceConfig._geometryProblems;
+        for (const geo of geos) {
+            if (!geo.faces || problems.get(geo.file)?.faces === geo.faces) continue;
+            let geometry = null;
+            try {
+                geometry = await loadGlb(loader, geo.file);
+            } catch (err) {
+                console.warn(`${MODULE_ID} | Could not load geometry ${geo.file}:`, err);
+            }
+            problems.set(geo.file, { faces: geo.faces, problem: geometryProblem(geometry, geo.faces) });
+            geometry?.dispose();
+        }
+        return geos.map((g) => ({ ...g, problem: problems.get(g.file)?.problem ?? null }));
     }
 
     /* ── Static entry point ── */
@@ -209,10 +583,15 @@ export class ExotikDiceConfig extends FormApplication {
      * Open the editor for a dice definition (or new dice).
      * @param {object|null} dice   Existing dice def, or null for new
      * @param {Application|null} settingsApp  SettingsConfig to refresh on save
+     * @param {object} [options]
+     * @param {number|null} [options.face]  0-based face to scroll to
      */
-    static editDice(dice = null, settingsApp = null) {
+    static editDice(dice = null, settingsApp = null, { face = null } = {}) {
+        // Pick up GLBs added to the geometry folders since the last scan
+        ExotikDiceConfig.clearGeometryCache();
         const config = new ExotikDiceConfig();
         config._settingsApp = settingsApp;
+        config._focusFace = face;
         if (dice) {
             config._editingDice = foundry.utils.deepClone(dice);
         } else {
@@ -223,13 +602,10 @@ export class ExotikDiceConfig extends FormApplication {
                 denomination: "",
                 faces: 6,
                 geometry: "standard",
-                faceMap: Array.from({ length: 6 }, () => ({
-                    refFace: null,
-                    label: "",
-                    texture: "",
-                    bump: "",
-                    icon: "",
-                })),
+                symbols: [],
+                cancellations: [],
+                appearance: {},
+                faceMap: Array.from({ length: 6 }, emptyFace),
             };
         }
         config.render(true);
@@ -261,11 +637,16 @@ export class ExotikDiceConfig extends FormApplication {
         return game.i18n.localize("EKD.Config.Title");
     }
 
-    /** Scan geometries before every render. */
+    /** Scan geometries (shared, and the edited dice's own) before every render. */
     async _render(force, options) {
-        if (!ExotikDiceConfig._geometriesCache) {
-            await ExotikDiceConfig.scanGeometries();
-        }
+        const d = this._editingDice;
+        this._geometries = await ExotikDiceConfig.checkGeometries(
+            await ExotikDiceConfig.scanGeometries(d?.slug, d?.faces),
+        );
+        // Sidecar of the chosen geometry, for the physics placeholders
+        this._geometryMeta = d?.geometry && d.geometry !== "standard"
+            ? await loadGeometryMeta(d.geometry, d.slug)
+            : {};
         return super._render(force, options);
     }
 
@@ -280,6 +661,23 @@ export class ExotikDiceConfig extends FormApplication {
         const faceCount = d.faces || 6;
         const faceMap = d.faceMap || [];
 
+        // Symbol table rows (blank rows included, see parseSymbols)
+        const symbols = (d.symbols || []).map((sym, index) => ({
+            ...sym,
+            index,
+        }));
+
+        // Cancellation rules may oppose symbols of other dice in a pool,
+        // so suggest every symbol id known to the module.
+        const cancellations = (d.cancellations || []).map((rule, index) => ({
+            ...rule,
+            index,
+        }));
+        const knownSymbolIds = new Set(symbols.map((sym) => sym.id).filter(Boolean));
+        for (const def of game.settings.get(MODULE_ID, "diceDefinitions") || []) {
+            for (const sym of def.symbols || []) knownSymbolIds.add(sym.id);
+        }
+
         // Build face entries with reference info
         const faces = [];
         for (let i = 0; i < faceCount; i++) {
@@ -303,9 +701,29 @@ export class ExotikDiceConfig extends FormApplication {
                 number: i + 1,
                 index: i,
                 label: fm.label ?? "",
+                value: fm.value ?? "",
                 texture: fm.texture ?? "",
                 bump: fm.bump ?? "",
                 icon: fm.icon ?? "",
+                glyph: fm.glyph ?? "",
+                glyphFont: fm.glyphFont ?? "",
+                glyphColor: fm.glyphColor ?? "",
+                sound: fm.sound ?? "",
+                sfx: fm.sfx ?? "",
+                symbols: symbols
+                    .filter((sym) => sym.id)
+                    .map((sym) => ({
+                        index: sym.index,
+                        label: sym.label || sym.id,
+                        icon: sym.icon,
+                        count: fm.symbols?.[sym.id] || "",
+                    })),
+                actionTarget: fm.onResult?.target ?? "",
+                actionTypes: ACTION_TYPES.map((type) => ({
+                    value: type,
+                    label: game.i18n.localize(`EKD.Editor.Action${type.capitalize()}`),
+                    selected: fm.onResult?.type === type,
+                })),
                 refFace: currentRef,
                 isRef,
                 refLabel: isRef ? String(currentRef + 1) : "",
@@ -321,9 +739,14 @@ export class ExotikDiceConfig extends FormApplication {
         }));
 
         // Geometry options – from scanned .glb files
-        const allGeos = ExotikDiceConfig._geometriesCache || [];
+        const allGeos = this._geometries || [];
         const customGeos = allGeos.filter((g) => g.faces === faceCount);
         const showGeometry = customGeos.length > 0;
+        const sourceLabels = {
+            module: "",
+            user: ` (${game.i18n.localize("EKD.Editor.GeometryWorld")})`,
+            die: ` (${game.i18n.localize("EKD.Editor.GeometryDie")})`,
+        };
         const geometryOptions = showGeometry
             ? [
                   {
@@ -331,10 +754,12 @@ export class ExotikDiceConfig extends FormApplication {
                       label: game.i18n.localize("EKD.Editor.GeometryStandard"),
                       selected: d.geometry === "standard",
                   },
+                  // Models that don't fit are listed with the reason, disabled
                   ...customGeos.map((g) => ({
                       value: g.value,
-                      label: g.name,
+                      label: g.name + sourceLabels[g.source] + (g.problem ? ` – ${g.problem}` : ""),
                       selected: d.geometry === g.value,
+                      disabled: !!g.problem,
                   })),
               ]
             : [];
@@ -350,13 +775,39 @@ export class ExotikDiceConfig extends FormApplication {
         };
         const previewDsnType = dsnGeoType[faceCount] || "d6";
 
+        // Size and physics: empty fields keep the geometry's sidecar, then
+        // Dice So Nice's standard shape
+        const standardModel = game.dice3d?.DiceFactory?.systems?.get("standard")?.dice.get(previewDsnType);
+        const sidecar = parsePhysics(this._geometryMeta);
+        const physicsDefaults = { scale: 1, mass: standardModel?.mass, inertia: standardModel?.inertia };
+        const physics = {
+            ...parsePhysics(d.physics),
+            placeholders: Object.fromEntries(
+                PHYSICS_NUMBERS.map((key) => [key, sidecar[key] ?? physicsDefaults[key] ?? ""]),
+            ),
+        };
+
         return {
             editing: true,
             dice: d,
+            symbols,
+            cancellations,
+            knownSymbolIds: [...knownSymbolIds].sort(),
+            sfxModes: DSN_SFX_MODES,
+            appearance: {
+                ...parseAppearance(d.appearance),
+                placeholders: PREVIEW_APPEARANCE,
+                materials: DSN_MATERIALS.map((m) => ({
+                    value: m,
+                    selected: d.appearance?.material === m,
+                })),
+            },
             faces,
             facesOptions,
             geometryOptions,
             showGeometry,
+            customGeometry: showGeometry && d.geometry !== "standard",
+            physics,
             previewDsnType,
             faceCount,
             slug: d.slug || "",
@@ -369,15 +820,13 @@ export class ExotikDiceConfig extends FormApplication {
     _getListData() {
         const definitions =
             game.settings.get(MODULE_ID, "diceDefinitions") || [];
-        const allGeos = ExotikDiceConfig._geometriesCache || [];
         const diceList = definitions.map((d) => {
-            const geo = allGeos.find((g) => g.value === d.geometry);
             const isModuleDice = d.faceMap?.[0]?.texture?.startsWith?.(`modules/${MODULE_ID}/`);
             return {
                 ...d,
                 isDefault: !!isModuleDice,
-                geometryLabel: geo
-                    ? geo.name
+                geometryLabel: d.geometry && d.geometry !== "standard"
+                    ? geometryName(d.geometry.replace(/^(user|die):/, ""))
                     : game.i18n.localize("EKD.Editor.GeometryStandard"),
             };
         });
@@ -414,6 +863,17 @@ export class ExotikDiceConfig extends FormApplication {
                     setTimeout(() => this.render(true), 0);
                 }
             }
+            if (t.closest(".ekd-probability") && this._editingDice) {
+                event.preventDefault();
+                event.stopPropagation();
+                // Work on the unsaved state, one die of it in the pool
+                this._captureFormData();
+                const denom = this._editingDice.denomination || "?";
+                ProbabilityPanel.open({
+                    definition: this._editingDice,
+                    pool: { [denom]: 1 },
+                });
+            }
         });
 
         if (this._editingDice) {
@@ -432,13 +892,7 @@ export class ExotikDiceConfig extends FormApplication {
                         this._editingDice.geometry = "standard";
                     const newLen = this._editingDice.faces;
                     while (this._editingDice.faceMap.length < newLen) {
-                        this._editingDice.faceMap.push({
-                            refFace: null,
-                            label: "",
-                            texture: "",
-                            bump: "",
-                            icon: "",
-                        });
+                        this._editingDice.faceMap.push(emptyFace());
                     }
                     this._editingDice.faceMap.length = newLen;
                     setTimeout(() => this.render(true), 0);
@@ -453,11 +907,107 @@ export class ExotikDiceConfig extends FormApplication {
                 });
             });
 
+            // Symbol table: add / remove rows, refresh face palettes on edit
+            el.querySelector(".ekd-symbol-add")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._captureFormData();
+                this._editingDice.symbols.push({ id: "", label: "", icon: "" });
+                setTimeout(() => this.render(true), 0);
+            });
+            el.querySelectorAll(".ekd-symbol-remove").forEach((btn) => {
+                btn.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    this._captureFormData();
+                    const idx = parseInt(btn.dataset.index);
+                    const [removed] = this._editingDice.symbols.splice(idx, 1);
+                    if (removed?.id) {
+                        for (const face of this._editingDice.faceMap) {
+                            delete face.symbols?.[removed.id];
+                        }
+                    }
+                    setTimeout(() => this.render(true), 0);
+                });
+            });
+            // Cancellation rules: add / remove rows
+            el.querySelector(".ekd-rule-add")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._captureFormData();
+                this._editingDice.cancellations.push({ symbol: "", cancels: "" });
+                setTimeout(() => this.render(true), 0);
+            });
+            el.querySelectorAll(".ekd-rule-remove").forEach((btn) => {
+                btn.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    this._captureFormData();
+                    this._editingDice.cancellations.splice(parseInt(btn.dataset.index), 1);
+                    setTimeout(() => this.render(true), 0);
+                });
+            });
+            el.querySelectorAll(".ekd-symbol-row input").forEach((input) => {
+                input.addEventListener("change", () => {
+                    this._captureFormData();
+                    setTimeout(() => this.render(true), 0);
+                });
+            });
+
+            // Appearance and size fields → refresh 3D preview
+            el.querySelectorAll(".ekd-appearance input, .ekd-appearance select, .ekd-physics input").forEach((input) => {
+                input.addEventListener("change", () => this._refreshDSNPreview());
+            });
+
+            // GLB upload into the dice's own folder
+            const geoFile = el.querySelector(".ekd-geometry-file");
+            el.querySelector(".ekd-geometry-upload")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                geoFile?.click();
+            });
+            geoFile?.addEventListener("change", () => {
+                const file = geoFile.files?.[0];
+                geoFile.value = "";
+                if (file) this._onUploadGeometry(file);
+            });
+
             // Geometry dropdown change → refresh 3D preview
-            el.querySelector('[name="geometry"]')?.addEventListener(
-                "change",
-                () => this._refreshDSNPreview(),
-            );
+            el.querySelector('[name="geometry"]')?.addEventListener("change", (e) => {
+                this._endCalibration();
+                el.querySelectorAll(".ekd-calibration-bar, .ekd-physics").forEach((part) => {
+                    part.hidden = e.target.value === "standard";
+                });
+                this._refreshDSNPreview();
+            });
+
+            // Face calibration of the custom geometry
+            el.querySelector(".ekd-calibrate")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._startCalibration(el);
+            });
+            el.querySelectorAll(".ekd-calib-rotate").forEach((btn) => {
+                btn.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    this._rotateCalibration(btn.dataset.axis);
+                });
+            });
+            el.querySelector(".ekd-calib-reset")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._resetCalibration();
+            });
+            el.querySelector(".ekd-calib-save")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._saveCalibration();
+            });
+            el.querySelector(".ekd-calib-cancel")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                this._endCalibration();
+                this._refreshDSNPreview();
+            });
+
+            // Chat icon → 3D texture + bump map
+            el.querySelectorAll(".ekd-icon-generate").forEach((btn) => {
+                btn.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    this._onGenerateFromIcon(el, parseInt(btn.dataset.index), btn);
+                });
+            });
 
             // Live image previews
             el.querySelectorAll("input.image").forEach((input) => {
@@ -467,6 +1017,18 @@ export class ExotikDiceConfig extends FormApplication {
             // Dirty tracking on all inputs
             el.addEventListener("input", () => this._checkDirty(el));
             el.addEventListener("change", () => this._checkDirty(el));
+            // Re-renders (face count, references, symbols…) keep the save state
+            this._checkDirty(el);
+
+            // Opened from a health report: bring the face into view
+            if (this._focusFace != null) {
+                const face = el.querySelector(`.ekd-face-entry[data-face="${this._focusFace}"]`);
+                this._focusFace = null;
+                if (face) {
+                    face.classList.add("ekd-face-highlight");
+                    setTimeout(() => face.scrollIntoView({ block: "center" }), 0);
+                }
+            }
 
             // Initialize DSN 3D preview
             this._initDSNPreview(el);
@@ -498,13 +1060,10 @@ export class ExotikDiceConfig extends FormApplication {
             denomination: "",
             faces: 6,
             geometry: "standard",
-            faceMap: Array.from({ length: 6 }, () => ({
-                refFace: null,
-                label: "",
-                texture: "",
-                bump: "",
-                icon: "",
-            })),
+            symbols: [],
+            cancellations: [],
+            appearance: {},
+            faceMap: Array.from({ length: 6 }, emptyFace),
         };
         setTimeout(() => this.render(true), 0);
     }
@@ -550,6 +1109,122 @@ export class ExotikDiceConfig extends FormApplication {
         }
     }
 
+    /**
+     * Rasterize a face's chat icon into a texture and bump map, upload
+     * them into the dice's textures/ and bump_maps/ folders and fill the
+     * face's fields.  The dice is saved as usual afterwards.
+     * @param {HTMLElement} el
+     * @param {number} index   0-based face index
+     * @param {HTMLButtonElement} button
+     */
+    async _onGenerateFromIcon(el, index, button) {
+        const field = (name) => el.querySelector(`[name="faceMap.${index}.${name}"]`);
+        const icon = field("icon")?.value.trim();
+        if (!icon) {
+            ui.notifications.warn(game.i18n.localize("EKD.Editor.GenerateNoIcon"));
+            return;
+        }
+        const name = el.querySelector('[name="name"]')?.value.trim();
+        const slug = this._editingDice.slug || nameToSlug(name);
+        if (!slug) {
+            ui.notifications.warn(game.i18n.localize("EKD.Editor.GenerateNoName"));
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            await ensureDiceFolders(slug);
+            const basePath = `${getUserDicePath()}/${slug}`;
+            const files = await rasterizeIcon(icon, index);
+            const texture = await FP.upload("data", `${basePath}/textures`, files.texture, {});
+            const bump = await FP.upload("data", `${basePath}/bump_maps`, files.bump, {});
+
+            for (const [key, result] of [["texture", texture], ["bump", bump]]) {
+                const input = field(key);
+                if (!input || !result?.path) continue;
+                input.value = result.path;
+                input.dispatchEvent(new Event("change", { bubbles: true }));
+            }
+            ui.notifications.info(
+                game.i18n.format("EKD.Editor.GenerateDone", { face: index + 1 }),
+            );
+        } catch (err) {
+            console.warn(`${MODULE_ID} | Could not generate textures for face ${index + 1}:`, err);
+            ui.notifications.error(
+                game.i18n.format("EKD.Editor.GenerateFailed", { error: err.message }),
+            );
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Upload a GLB into the edited dice's folder and select it.  The file
+     * name gets the `_d{N}` suffix of the dice's face count if it has none;
+     * a model made for another face count is refused.
+     * @param {File} file
+     */
+    async _onUploadGeometry(file) {
+        this._captureFormData();
+        const d = this._editingDice;
+        if (!d.slug) {
+            ui.notifications.warn(game.i18n.localize("EKD.Editor.GeometrySaveFirst"));
+            return;
+        }
+        if (!file.name.toLowerCase().endsWith(".glb")) {
+            ui.notifications.warn(game.i18n.localize("EKD.Editor.GeometryNotGlb"));
+            return;
+        }
+
+        let base = nameToSlug(file.name.replace(/\.glb$/i, "")) || "geometry";
+        const m = base.match(/_d(\d+)/);
+        if (m && parseInt(m[1]) !== d.faces) {
+            ui.notifications.warn(
+                game.i18n.format("EKD.Editor.GeometryWrongFaces", { file: file.name, faces: d.faces }),
+            );
+            return;
+        }
+        if (!m) base += `_d${d.faces}`;
+
+        // Refuse models whose faces don't match the dice
+        const loader = game.dice3d?.DiceFactory?.loaderGLTF;
+        if (loader) {
+            let geometry = null;
+            try {
+                geometry = await loadGlb(loader, await file.arrayBuffer());
+            } catch (err) {
+                console.warn(`${MODULE_ID} | Could not read geometry ${file.name}:`, err);
+            }
+            const problem = geometryProblem(geometry, d.faces);
+            geometry?.dispose();
+            if (problem) {
+                ui.notifications.warn(
+                    game.i18n.format("EKD.Editor.GeometryRejected", { file: file.name, problem }),
+                );
+                return;
+            }
+        }
+
+        try {
+            await ensureDiceFolders(d.slug);
+            const upload = new File([file], `${base}.glb`, { type: "model/gltf-binary" });
+            const result = await FP.upload("data", diceBasePath(d.slug), upload, {});
+            if (!result?.path) return;
+            ExotikDiceConfig._geometryProblems.delete(result.path);
+        } catch (err) {
+            console.warn(`${MODULE_ID} | Could not upload geometry:`, err);
+            ui.notifications.error(
+                game.i18n.format("EKD.Editor.GeometryUploadFailed", { error: err.message }),
+            );
+            return;
+        }
+
+        ExotikDiceConfig.clearGeometryCache();
+        d.geometry = `die:${base}`;
+        ui.notifications.info(game.i18n.format("EKD.Editor.GeometryUploaded", { file: `${base}.glb` }));
+        setTimeout(() => this.render(true), 0);
+    }
+
     /* ── DSN 3D Preview ── */
 
     /**
@@ -730,20 +1405,15 @@ export class ExotikDiceConfig extends FormApplication {
             await preset.loadTextures();
 
             // ── Build a complete appearance object ──
-            const appearance = {
+            // The dice's own appearance over the preview defaults
+            const appearance = buildAppearance(d, {
                 system: previewSystem,
                 colorset: "custom",
-                foreground: "#FFFFFF",
-                background: "#3a3a5e",
-                outline: "#555",
-                edge: "",
-                texture: "none",
-                material: "pristine",
-                font: "Arial",
+                ...PREVIEW_APPEARANCE,
                 fontScale: null,
                 systemSettings: {},
                 isGhost: false,
-            };
+            });
 
             // scopedTextureCache expected by factory.create
             const scopedCache = box.dicePrediction ||
@@ -775,50 +1445,232 @@ export class ExotikDiceConfig extends FormApplication {
     }
 
     /**
-     * Load a custom GLB geometry and apply it to the preview mesh.
+     * Load a custom GLB geometry, scaled for the preview, as the file has
+     * it (uncalibrated).
+     * @param {string} geoName
+     * @param {number} [scale=1]  Size relative to Dice So Nice's own
+     * @returns {Promise<THREE.BufferGeometry|null>}
      */
-    async _applyCustomGeometry(mesh, geoName) {
-        const allGeos = ExotikDiceConfig._geometriesCache || [];
-        const geo = allGeos.find((g) => g.value === geoName);
-        if (!geo) return;
+    async _loadPreviewGeometry(geoName, scale = 1) {
+        const file = geometryPath(geoName, this._editingDice?.slug);
+        if (!file) return null;
 
         const factory = game.dice3d?.DiceFactory;
-        if (!factory?.loaderGLTF) return;
-
-        return new Promise((resolve) => {
-            factory.loaderGLTF.load(
-                geo.file,
-                (gltf) => {
-                    let geometry = null;
-                    gltf.scene.traverse((child) => {
-                        if (child.isMesh && !geometry) geometry = child.geometry;
-                    });
-                    if (geometry) {
-                        const s = 60 / 100;
-                        const g = geometry.clone();
-                        g.scale(s, s, s);
-                        if (mesh.isMesh) {
-                            mesh.geometry = g;
-                        } else {
-                            mesh.traverse((child) => {
-                                if (child.isMesh) child.geometry = g;
-                            });
-                        }
-                    }
-                    resolve();
-                },
-                undefined,
-                (err) => {
-                    console.warn(
-                        `${MODULE_ID} | Could not load custom geometry ${geoName}:`,
-                        err,
-                    );
-                    resolve();
-                },
-            );
+        if (!factory?.loaderGLTF) return null;
+
+        let geometry;
+        try {
+            geometry = await loadGlb(factory.loaderGLTF, file);
+        } catch (err) {
+            console.warn(`${MODULE_ID} | Could not load custom geometry ${geoName}:`, err);
+            return null;
+        }
+        if (!geometry) return null;
+        const s = (60 / 100) * scale;
+        geometry.scale(s, s, s);
+        // Ours to dispose (DSN's own geometries are shared)
+        geometry.userData.ekdPreview = true;
+        return geometry;
+    }
+
+    /**
+     * Give the preview mesh a geometry.
+     * @param {THREE.Object3D} mesh
+     * @param {THREE.BufferGeometry} geometry
+     */
+    _setPreviewGeometry(mesh, geometry) {
+        mesh.traverse((child) => {
+            if (!child.isMesh) return;
+            if (child.geometry !== geometry && child.geometry?.userData.ekdPreview) {
+                child.geometry.dispose();
+            }
+            child.geometry = geometry;
         });
     }
 
+    /**
+     * Load a custom GLB geometry and apply it to the preview mesh, with
+     * its stored calibration (or the one being edited).  A model that does
+     * not fit the dice leaves the standard shape.
+     */
+    async _applyCustomGeometry(mesh, geoName) {
+        const d = this._editingDice;
+        const meta = await loadGeometryMeta(geoName, d?.slug);
+        const { scale } = resolvePhysics(meta, d?.physics, d?.faces || 6);
+        const raw = await this._loadPreviewGeometry(geoName, scale);
+        if (!raw) return;
+        const problem = geometryProblem(raw, d?.faces || 6);
+        if (problem) {
+            console.warn(`${MODULE_ID} | Geometry ${geoName} not used: ${problem}`);
+            raw.dispose();
+            return;
+        }
+        const mapping = this._calibration?.mapping ?? meta.faces;
+        this._setPreviewGeometry(mesh, applyFaceMapping(raw, mapping));
+    }
+
+    /* ── Face calibration ── */
+
+    /**
+     * Enter calibration mode: the preview stops spinning and every visible
+     * face gets a dropdown with the result it shows.
+     * @param {HTMLElement} el
+     */
+    async _startCalibration(el) {
+        if (this._calibration) return;
+        this._captureFormData();
+        const d = this._editingDice;
+        const container = el.querySelector(".ekd-3d-preview");
+        const faceCount = d.faces || 6;
+        const meta = await loadGeometryMeta(d.geometry, d.slug);
+        const { scale } = resolvePhysics(meta, d.physics, faceCount);
+        const raw = this._previewMesh && (await this._loadPreviewGeometry(d.geometry, scale));
+        if (!raw || !container) {
+            ui.notifications.warn(game.i18n.localize("EKD.Editor.CalibrateUnavailable"));
+            return;
+        }
+
+        const problem = geometryProblem(raw, faceCount);
+        if (problem) {
+            ui.notifications.warn(problem);
+            return;
+        }
+        const overlay = document.createElement("div");
+        overlay.classList.add("ekd-calib-overlay");
+        container.appendChild(overlay);
+        el.querySelector(".ekd-calibration-bar")?.classList.add("ekd-calibrating");
+
+        this._calibration = {
+            el,
+            raw,
+            overlay,
+            faces: findFaces(raw),
+            mapping: storedFaceMapping(meta.faces, faceCount),
+        };
+        if (this._previewAnimFrame) {
+            cancelAnimationFrame(this._previewAnimFrame);
+            this._previewAnimFrame = null;
+        }
+        this._showCalibration();
+    }
+
+    /**
+     * Apply the calibration being edited to the preview and redraw.
+     */
+    _showCalibration() {
+        const cal = this._calibration;
+        if (!cal || !this._previewMesh) return;
+        const geometry = applyFaceMapping(cal.raw.clone(), cal.mapping, cal.faces);
+        this._setPreviewGeometry(this._previewMesh, geometry);
+        this._previewBox?.renderScene?.();
+        this._drawCalibrationLabels();
+    }
+
+    /**
+     * Place a result dropdown on every face turned toward the camera.
+     */
+    _drawCalibrationLabels() {
+        const cal = this._calibration;
+        const camera = this._previewBox?.camera;
+        let target = null;
+        this._previewMesh?.traverse((child) => {
+            if (child.isMesh && !target) target = child;
+        });
+        if (!cal || !camera || !target) return;
+
+        target.updateMatrixWorld(true);
+        const Vector3 = target.position.constructor;
+        const { clientWidth: width, clientHeight: height } = cal.overlay;
+        const results = Object.keys(cal.mapping).length;
+        cal.overlay.replaceChildren();
+
+        cal.faces.forEach(({ center, normal }, face) => {
+            const point = new Vector3(...center).applyMatrix4(target.matrixWorld);
+            const facing = new Vector3(...normal).transformDirection(target.matrixWorld);
+            if (facing.dot(camera.position.clone().sub(point)) <= 0) return;
+
+            const screen = point.clone().project(camera);
+            const select = document.createElement("select");
+            select.classList.add("ekd-calib-label");
+            for (let r = 1; r <= results; r++) {
+                select.add(new Option(String(r), String(r), false, cal.mapping[face] === r));
+            }
+            select.style.left = `${((screen.x + 1) / 2) * width}px`;
+            select.style.top = `${((1 - screen.y) / 2) * height}px`;
+            select.addEventListener("change", () => {
+                this._assignCalibration(face, parseInt(select.value));
+            });
+            cal.overlay.appendChild(select);
+        });
+    }
+
+    /**
+     * Give a face a result; the face that had it takes the old one, so
+     * every result stays on exactly one face.
+     * @param {number} face    0-based face of the model
+     * @param {number} result
+     */
+    _assignCalibration(face, result) {
+        const { mapping } = this._calibration;
+        const other = Object.keys(mapping).find((k) => mapping[k] === result);
+        if (other != null) mapping[other] = mapping[face];
+        mapping[face] = result;
+        this._showCalibration();
+    }
+
+    /**
+     * Turn the preview die by 45° to reach the hidden faces.
+     * @param {"x"|"y"} axis
+     */
+    _rotateCalibration(axis) {
+        if (!this._calibration || !this._previewMesh) return;
+        this._previewMesh.rotation[axis] += Math.PI / 4;
+        this._previewBox?.renderScene?.();
+        this._drawCalibrationLabels();
+    }
+
+    /**
+     * Back to the order the GLB file has.
+     */
+    _resetCalibration() {
+        const cal = this._calibration;
+        if (!cal) return;
+        cal.mapping = defaultFaceMapping(cal.faces.length);
+        this._showCalibration();
+    }
+
+    /**
+     * Store the calibration next to the geometry and reload it on every
+     * client.
+     */
+    async _saveCalibration() {
+        const cal = this._calibration;
+        if (!cal) return;
+        const { geometry, slug } = this._editingDice;
+        try {
+            await saveFaceMapping(geometry, slug, cal.mapping);
+            await game.modules.get(MODULE_ID).api.reloadGeometry(geometry, slug);
+        } catch (err) {
+            console.warn(`${MODULE_ID} | Could not save calibration:`, err);
+            ui.notifications.error(game.i18n.format("EKD.Editor.CalibrateFailed", { error: err.message }));
+            return;
+        }
+        ui.notifications.info(game.i18n.localize("EKD.Editor.CalibrateSaved"));
+        this._endCalibration();
+        this._refreshDSNPreview();
+    }
+
+    /**
+     * Leave calibration mode (the caller refreshes the preview).
+     */
+    _endCalibration() {
+        const cal = this._calibration;
+        if (!cal) return;
+        cal.overlay.remove();
+        cal.el.querySelector(".ekd-calibration-bar")?.classList.remove("ekd-calibrating");
+        this._calibration = null;
+    }
+
     /**
      * Start a smooth rotation animation for the preview die.
      */
@@ -844,7 +1696,14 @@ export class ExotikDiceConfig extends FormApplication {
         if (this._previewRefreshTimer) clearTimeout(this._previewRefreshTimer);
         this._previewRefreshTimer = setTimeout(async () => {
             this._captureFormData();
+            // A calibration in progress keeps the die where the user turned it
+            const rotation = this._calibration && this._previewMesh?.rotation.clone();
             await this._renderPreviewDie();
+            if (rotation && this._previewMesh) {
+                this._previewMesh.rotation.copy(rotation);
+                this._showCalibration();
+                return;
+            }
             // Restart animation (it stops when the mesh is replaced)
             this._startPreviewAnimation();
         }, 300);
@@ -854,6 +1713,7 @@ export class ExotikDiceConfig extends FormApplication {
      * Clean up the DSN preview resources.
      */
     _destroyDSNPreview() {
+        this._calibration = null;
         if (this._previewAnimFrame) {
             cancelAnimationFrame(this._previewAnimFrame);
             this._previewAnimFrame = null;
@@ -976,20 +1836,24 @@ export class ExotikDiceConfig extends FormApplication {
 
         // ── Build faceMap ──
         const faceCount = parseInt(expanded.faces) || 6;
-        const faceMap = [];
-        const rawMap = expanded.faceMap || {};
-        for (let i = 0; i < faceCount; i++) {
-            const f = rawMap[i] || {};
-            const refStr = String(f.refFace ?? "").trim();
-            const refFace = refStr !== "" ? parseInt(refStr) : null;
-            faceMap.push({
-                refFace,
-                label: refFace != null ? "" : (f.label ?? "").trim().replace(/\s+/g, "_"),
-                texture: refFace != null ? "" : (f.texture ?? "").trim(),
-                bump: refFace != null ? "" : (f.bump ?? "").trim(),
-                icon: refFace != null ? "" : (f.icon ?? "").trim(),
-            });
+        const symbolRows = parseSymbols(expanded.symbols);
+        const faceMap = parseFaceMap(expanded.faceMap || {}, faceCount, symbolRows);
+
+        // ── Symbol table ──
+        const symbols = symbolRows.filter((sym) => sym.id);
+        const symbolIds = new Set();
+        for (const sym of symbols) {
+            if (symbolIds.has(sym.id)) {
+                ui.notifications.error(
+                    game.i18n.format("EKD.Validation.SymbolDuplicate", { id: sym.id }),
+                );
+                throw new Error("Validation failed");
+            }
+            symbolIds.add(sym.id);
         }
+        const cancellations = parseCancellations(expanded.cancellations).filter(
+            (rule) => rule.symbol && rule.cancels,
+        );
 
         // Validate no loops
         for (let i = 0; i < faceMap.length; i++) {
@@ -1002,7 +1866,7 @@ export class ExotikDiceConfig extends FormApplication {
         }
 
         // ── Geometry ──
-        const allGeos = ExotikDiceConfig._geometriesCache || [];
+        const allGeos = this._geometries || [];
         const customGeos = allGeos.filter((g) => g.faces === faceCount);
         let geometry = "standard";
         if (customGeos.length > 0) {
@@ -1016,8 +1880,18 @@ export class ExotikDiceConfig extends FormApplication {
             denomination: denom,
             faces: faceCount,
             geometry,
+            symbols,
+            cancellations,
+            appearance: parseAppearance(expanded.appearance),
             faceMap,
         };
+        // Skins are authored in dice.json; keep them as they are
+        if (this._editingDice.skins?.length) diceDef.skins = this._editingDice.skins;
+        // Size and physics (the collision shape is only set in dice.json)
+        const physics = expanded.physics
+            ? parsePhysics({ ...expanded.physics, shape: this._editingDice.physics?.shape })
+            : parsePhysics(this._editingDice.physics);
+        if (Object.keys(physics).length) diceDef.physics = physics;
 
         // ── Dirty check ──
         const existingIdx = currentDefs.findIndex((d) => d.id === diceDef.id);
@@ -1042,39 +1916,73 @@ export class ExotikDiceConfig extends FormApplication {
         // ── Copy asset files into the dice folder ──
         if (diceDef.slug) {
             const basePath = `${getUserDicePath()}/${diceDef.slug}`;
-            const subfolders = { texture: "textures", bump: "bump_maps", icon: "chat_2d" };
+            const subfolders = {
+                texture: "textures",
+                bump: "bump_maps",
+                icon: "chat_2d",
+                sound: "sounds",
+            };
+            const optimize = {
+                maxSize: parseInt(game.settings.get(MODULE_ID, "assetMaxSize")) || 0,
+                webp: game.settings.get(MODULE_ID, "assetWebP"),
+                stripMetadata: game.settings.get(MODULE_ID, "assetStripMetadata"),
+                keepOriginals: game.settings.get(MODULE_ID, "assetKeepOriginals"),
+            };
+            const optimizing = optimize.maxSize > 0 || optimize.webp || optimize.stripMetadata;
+            const report = { files: 0, saved: 0, replaced: [] };
+            const savedDef = existingIdx >= 0 ? currentDefs[existingIdx] : null;
 
             for (let i = 0; i < diceDef.faceMap.length; i++) {
                 const face = diceDef.faceMap[i];
                 if (face.refFace != null) continue; // skip references
 
                 for (const [field, subfolder] of Object.entries(subfolders)) {
-                    const srcPath = face[field];
-                    if (!srcPath) continue;
-
-                    // Skip if already inside this dice's asset folder
-                    if (srcPath.startsWith(basePath + "/")) continue;
-
                     try {
-                        // Fetch the source file
-                        const response = await fetch(srcPath);
-                        if (!response.ok) continue;
-                        const blob = await response.blob();
-
-                        // Determine filename
-                        const srcFilename = srcPath.split("/").pop();
-                        const file = new File([blob], srcFilename, { type: blob.type });
-
-                        // Upload to the target subfolder
-                        const targetDir = `${basePath}/${subfolder}`;
-                        const result = await FP.upload("data", targetDir, file, {});
-                        if (result?.path) {
-                            face[field] = result.path;
-                        }
+                        face[field] = optimizing && (field === "texture" || field === "bump")
+                            ? await optimizeAssetIntoDice(face[field], basePath, subfolder, optimize, report)
+                            : await copyAssetIntoDice(face[field], basePath, subfolder);
                     } catch (err) {
                         console.warn(`${MODULE_ID} | Could not copy ${field} for face ${i}:`, err);
                     }
                 }
+
+                if (face.glyph) {
+                    try {
+                        await writeGlyphAssets(face, i, basePath, diceDef.appearance.foreground, {
+                            face: savedDef?.faceMap?.[i],
+                            color: savedDef?.appearance?.foreground,
+                        });
+                    } catch (err) {
+                        console.warn(`${MODULE_ID} | Could not rasterize glyph for face ${i}:`, err);
+                    }
+                }
+            }
+
+            for (const symbol of diceDef.symbols) {
+                try {
+                    symbol.icon = await copyAssetIntoDice(symbol.icon, basePath, "chat_2d");
+                } catch (err) {
+                    console.warn(`${MODULE_ID} | Could not copy icon for symbol "${symbol.id}":`, err);
+                }
+            }
+
+            if (report.files) {
+                ui.notifications.info(
+                    game.i18n.format("EKD.Optimize.Report", {
+                        name: diceDef.name,
+                        count: report.files,
+                        saved: formatBytes(report.saved),
+                    }),
+                );
+            }
+            if (report.replaced.length) {
+                ui.notifications.warn(
+                    game.i18n.format("EKD.Optimize.Replaced", {
+                        name: diceDef.name,
+                        files: [...new Set(report.replaced)].join(", "),
+                    }),
+                    { permanent: true },
+                );
             }
         }
 
@@ -1121,22 +2029,22 @@ export class ExotikDiceConfig extends FormApplication {
         this._editingDice.denomination =
             exp.denomination ?? this._editingDice.denomination;
         this._editingDice.geometry = exp.geometry ?? this._editingDice.geometry;
+        const symbolRows = parseSymbols(exp.symbols);
+        this._editingDice.symbols = symbolRows;
+        this._editingDice.cancellations = parseCancellations(exp.cancellations);
+        this._editingDice.appearance = parseAppearance(exp.appearance);
+        if (exp.physics) {
+            this._editingDice.physics = parsePhysics({
+                ...exp.physics,
+                shape: this._editingDice.physics?.shape,
+            });
+        }
         if (exp.faceMap) {
-            const newMap = [];
-            const rawMap = exp.faceMap;
-            for (let i = 0; i < this._editingDice.faces; i++) {
-                const f = rawMap[i] || {};
-                const refStr = String(f.refFace ?? "").trim();
-                const refFace = refStr !== "" ? parseInt(refStr) : null;
-                newMap.push({
-                    refFace,
-                    label: refFace != null ? "" : (f.label ?? "").trim().replace(/\s+/g, "_"),
-                    texture: refFace != null ? "" : (f.texture ?? "").trim(),
-                    bump: refFace != null ? "" : (f.bump ?? "").trim(),
-                    icon: refFace != null ? "" : (f.icon ?? "").trim(),
-                });
-            }
-            this._editingDice.faceMap = newMap;
+            this._editingDice.faceMap = parseFaceMap(
+                exp.faceMap,
+                this._editingDice.faces,
+                symbolRows,
+            );
         }
     }
 }
@@ -0,0 +1,240 @@
+/**
+ * ProbabilityPanel – Exact odds for an exotic dice pool.
+ *
+ * Build a pool with +/- (same list and styles as the dice tray), pick a
+ * symbol and read the chance of rolling exactly / at least / at most N of
+ * it, with or without the pool's cancellation rules.  Opened from the
+ * settings list and from the dice editor, where it works on the unsaved
+ * definition being edited.
+ *
+ * The distribution is computed after the pool stops changing (debounced),
+ * never while rendering, so fast +/- clicks don't freeze the UI.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+    PoolTooLargeError,
+    cumulativeTable,
+    poolDistribution,
+    symbolMarginals,
+} from "./probability.js";
+import { diceIcon } from "./symbols.js";
+
+/** Delay (ms) between the last pool change and the computation. */
+const COMPUTE_DELAY = 250;
+
+/**
+ * Format a probability as a percentage with two decimals.
+ * @param {number} p
+ * @returns {string}
+ */
+function percent(p) {
+    return `${(Math.max(p, 0) * 100).toFixed(2)}%`;
+}
+
+export class ProbabilityPanel extends Application {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.definition]  Definition to use instead of the
+     *   saved one with the same denomination (e.g. unsaved editor changes)
+     * @param {Object<string, number>} [options.pool]  Initial pool
+     */
+    constructor(options = {}) {
+        super(options);
+        this._override = options.definition
+            ? foundry.utils.deepClone(options.definition)
+            : null;
+        /** denomination -> count */
+        this._pool = { ...(options.pool || {}) };
+        this._symbol = null;
+        this._cancel = true;
+        /** Distribution of the current pool, once computed. */
+        this._dist = null;
+        this._error = null;
+        /** cancel flag -> symbol marginals of `_dist` */
+        this._marginals = new Map();
+        this._computeTimer = null;
+        this._scheduleCompute();
+    }
+
+    /**
+     * Open a new panel.
+     * @param {object} [options]  See constructor
+     * @returns {ProbabilityPanel}
+     */
+    static open(options = {}) {
+        const panel = new ProbabilityPanel(options);
+        panel.render(true);
+        return panel;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            template: `modules/${MODULE_ID}/templates/probability.hbs`,
+            width: 420,
+            height: "auto",
+            resizable: true,
+            classes: ["ekd-tray", "ekd-probability"],
+        });
+    }
+
+    get title() {
+        return game.i18n.localize("EKD.Probability.Title");
+    }
+
+    /**
+     * Registered definitions (stored and in-memory), with the editor's
+     * override in place of (or added next to) the one sharing its
+     * denomination.
+     * @returns {Map<string, object>}
+     */
+    _definitions() {
+        const map = new Map();
+        for (const def of game.modules.get(MODULE_ID).api.getDefinitions()) {
+            map.set(def.denomination, def);
+        }
+        if (this._override) {
+            map.set(this._override.denomination || "?", this._override);
+        }
+        return map;
+    }
+
+    /* ── Data for Handlebars ── */
+
+    getData() {
+        const definitions = this._definitions();
+        const dice = [...definitions.entries()].map(([denom, d]) => ({
+            denomination: denom,
+            name: d.name || game.i18n.localize("EKD.Probability.Unsaved"),
+            icon: diceIcon(d),
+            count: this._pool[denom] || 0,
+        }));
+        const empty = !dice.some((d) => d.count > 0);
+        const computing = !empty && !!this._computeTimer;
+        const dist = computing ? null : this._dist;
+        const error = computing ? null : this._error;
+
+        const symbols = (dist?.symbols || []).map((s) => ({
+            ...s,
+            name: s.label || s.key,
+        }));
+        // Keep the picked symbol while the new odds are being computed
+        if (!computing && !symbols.some((s) => s.key === this._symbol)) {
+            this._symbol = symbols[0]?.key ?? null;
+        }
+        for (const s of symbols) s.selected = s.key === this._symbol;
+
+        let rows = [];
+        if (dist && this._symbol) {
+            const exact = this._symbolMarginals().get(this._symbol) || [];
+            rows = cumulativeTable(exact).map((r) => ({
+                n: r.n,
+                exactly: percent(r.exactly),
+                atLeast: percent(r.atLeast),
+                atMost: percent(r.atMost),
+                bar: Math.round(r.exactly * 100),
+                barAtLeast: Math.round(r.atLeast * 100),
+            }));
+        }
+
+        return {
+            dice,
+            empty,
+            computing,
+            error,
+            symbols,
+            rows,
+            hasRules: !!dist?.rules.length,
+            cancel: this._cancel,
+            noSymbols: !!dist && !symbols.length,
+        };
+    }
+
+    /* ── Computation ── */
+
+    /**
+     * Recompute the distribution once the pool has stopped changing for
+     * COMPUTE_DELAY ms, then render the result.
+     */
+    _scheduleCompute() {
+        if (this._computeTimer) clearTimeout(this._computeTimer);
+        this._computeTimer = setTimeout(() => {
+            this._computeTimer = null;
+            this._computeDistribution();
+            if (this.rendered) this.render();
+        }, COMPUTE_DELAY);
+    }
+
+    /** Joint distribution of the current pool (bounded by MAX_STATES). */
+    _computeDistribution() {
+        this._dist = null;
+        this._error = null;
+        this._marginals.clear();
+        if (!Object.values(this._pool).some((n) => n > 0)) return;
+        try {
+            this._dist = poolDistribution(this._pool, this._definitions());
+        } catch (err) {
+            if (err instanceof PoolTooLargeError) {
+                this._error = game.i18n.localize("EKD.Probability.TooLarge");
+            } else {
+                console.error(`${MODULE_ID} | Probability computation failed:`, err);
+                this._error = game.i18n.format("EKD.Probability.Failed", { error: err.message });
+            }
+        }
+    }
+
+    /**
+     * Symbol marginals of the computed distribution, cached per
+     * cancellation toggle.
+     * @returns {Map<string, number[]>}
+     */
+    _symbolMarginals() {
+        if (!this._marginals.has(this._cancel)) {
+            this._marginals.set(this._cancel, symbolMarginals(this._dist, this._cancel));
+        }
+        return this._marginals.get(this._cancel);
+    }
+
+    /** @override */
+    async close(options) {
+        if (this._computeTimer) {
+            clearTimeout(this._computeTimer);
+            this._computeTimer = null;
+        }
+        return super.close(options);
+    }
+
+    /* ── Listeners ── */
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        const el = html instanceof HTMLElement ? html : (html?.[0] ?? html);
+        if (!el) return;
+
+        el.addEventListener("click", (event) => {
+            const t = event.target;
+            const denom = t.closest("[data-denomination]")?.dataset.denomination;
+
+            if (t.closest(".ekd-tray-plus") && denom) {
+                event.preventDefault();
+                this._pool[denom] = (this._pool[denom] || 0) + 1;
+                this._scheduleCompute();
+                this.render();
+            } else if (t.closest(".ekd-tray-minus") && denom) {
+                event.preventDefault();
+                this._pool[denom] = Math.max((this._pool[denom] || 0) - 1, 0);
+                this._scheduleCompute();
+                this.render();
+            }
+        });
+
+        el.querySelector(".ekd-prob-symbol")?.addEventListener("change", (e) => {
+            this._symbol = e.target.value;
+            this.render();
+        });
+        el.querySelector(".ekd-prob-cancel")?.addEventListener("change", (e) => {
+            this._cancel = e.target.checked;
+            this.render();
+        });
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Exotik Dices – Reroll selected dice from a chat card.
+ *
+ * Under the summary of a roll with exotic dice its author (or a GM) can
+ * select individual dice and click "Reroll selected".  A follow-up message
+ * is created with the same rolls, where the selected results are marked
+ * as rerolled and new results appended; both messages are linked through
+ * flags, and the follow-up can be rerolled again (push your luck).
+ *
+ * The `chatReroll` world setting disables the feature or requires a GM to
+ * approve every request (sent over the module socket).  Approved rerolls
+ * are rolled by the GM's client; the player only gets a notice.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { faceSymbols, symbolHtml } from "./symbols.js";
+
+const SOCKET = `module.${MODULE_ID}`;
+
+/* ---------------------------------------- */
+/*  Selection & rerolling                    */
+/* ---------------------------------------- */
+
+/**
+ * Active exotic results of a message, with their position in its rolls.
+ * @param {ChatMessage} message
+ * @returns {{ roll: number, term: number, result: number, def: object, face: number }[]}
+ */
+function selectableDice(message) {
+    const api = game.modules.get(MODULE_ID).api;
+    const dice = [];
+    message.rolls.forEach((roll, ri) => {
+        roll.terms.forEach((term, ti) => {
+            const def = api.getDefinition(term.constructor?.DENOMINATION);
+            if (!def || typeof term.rerollResults !== "function") return;
+            term.results.forEach((r, ki) => {
+                if (r.active) dice.push({ roll: ri, term: ti, result: ki, def, face: r.result });
+            });
+        });
+    });
+    return dice;
+}
+
+/**
+ * Whether the current user may reroll dice of a message.
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+function canReroll(message) {
+    if (game.settings.get(MODULE_ID, "chatReroll") === "disabled") return false;
+    if (message.getFlag(MODULE_ID, "rerolledBy")) return false;
+    return message.isAuthor || game.user.isGM;
+}
+
+/**
+ * Whether a selection only points at rerollable dice of a message.
+ * @param {ChatMessage} message
+ * @param {object[]} selection
+ * @returns {boolean}
+ */
+function isValidSelection(message, selection) {
+    if (!Array.isArray(selection) || !selection.length) return false;
+    const dice = selectableDice(message);
+    return selection.every((s) =>
+        dice.some((d) => d.roll === s?.roll && d.term === s?.term && d.result === s?.result),
+    );
+}
+
+/**
+ * Create the follow-up message rerolling the selected dice.
+ * @param {ChatMessage} message
+ * @param {{ roll: number, term: number, result: number }[]} selection
+ * @param {User} [author]  Who asked for the reroll, when a GM rolls it
+ */
+async function performReroll(message, selection, author = game.user) {
+    const rolls = [];
+    for (const [ri, original] of message.rolls.entries()) {
+        const { terms, options } = Roll.fromData(original.toJSON());
+        for (const [ti, term] of terms.entries()) {
+            const indices = selection
+                .filter((s) => s.roll === ri && s.term === ti)
+                .map((s) => s.result);
+            if (indices.length) await term.rerollResults(indices);
+        }
+        // A new Roll from the evaluated terms computes its own total
+        rolls.push(original.constructor.fromTerms(terms, options));
+    }
+
+    const created = await ChatMessage.implementation.create({
+        rolls,
+        author: author.id,
+        speaker: message.speaker,
+        whisper: message.whisper,
+        blind: message.blind,
+        flavor: game.i18n.localize("EKD.Reroll.Flavor"),
+        flags: { [MODULE_ID]: { rerollOf: message.id } },
+    });
+    if (created && message.canUserModify(game.user, "update")) {
+        await message.setFlag(MODULE_ID, "rerolledBy", created.id);
+    }
+}
+
+/**
+ * Reroll now, or ask the GM first when the world requires approval.
+ * @param {ChatMessage} message
+ * @param {object[]} selection
+ */
+async function requestReroll(message, selection) {
+    if (!game.user.isGM && needsApproval()) {
+        return askApproval(message, selection);
+    }
+    return performReroll(message, selection);
+}
+
+/**
+ * Log and show a reroll that could not be made.
+ * @param {Error} err
+ */
+function reportFailure(err) {
+    console.error(`${MODULE_ID} | Reroll failed:`, err);
+    ui.notifications.error(game.i18n.format("EKD.Reroll.Failed", { error: err.message }));
+}
+
+/** Whether players need a GM's approval to reroll. */
+function needsApproval() {
+    return game.settings.get(MODULE_ID, "chatReroll") === "gmApproval";
+}
+
+/**
+ * Send a reroll request to the active GM, who rolls it once approved.
+ * @param {ChatMessage} message
+ * @param {object[]} selection
+ */
+function askApproval(message, selection) {
+    if (!game.users.activeGM) {
+        ui.notifications.warn(game.i18n.localize("EKD.Reroll.NoGM"));
+        return;
+    }
+    game.socket.emit(SOCKET, {
+        action: "rerollRequest",
+        messageId: message.id,
+        selection,
+        userId: game.user.id,
+    });
+    ui.notifications.info(game.i18n.localize("EKD.Reroll.Requested"));
+}
+
+/* ---------------------------------------- */
+/*  Socket                                   */
+/* ---------------------------------------- */
+
+/**
+ * Listen for reroll requests (active GM) and answers (requesting player).
+ * The GM checks and rolls approved requests itself, so a player can't
+ * skip the approval by sending an answer of their own.
+ */
+export function registerRerollSocket() {
+    game.socket.on(SOCKET, async (data) => {
+        const message = game.messages.get(data?.messageId);
+        if (!message) return;
+
+        if (data.action === "rerollRequest" && game.user === game.users.activeGM) {
+            await onRerollRequest(message, data);
+        } else if (data.userId === game.user.id && !game.user.isGM) {
+            if (data.action === "rerollDenied") {
+                ui.notifications.warn(game.i18n.localize("EKD.Reroll.Denied"));
+            } else if (data.action === "rerollApproved") {
+                ui.notifications.info(game.i18n.localize("EKD.Reroll.Approved"));
+            }
+        }
+    });
+}
+
+/**
+ * Ask the GM to approve a player's reroll, then roll it on their behalf.
+ * @param {ChatMessage} message
+ * @param {{ selection: object[], userId: string }} data
+ */
+async function onRerollRequest(message, data) {
+    const user = game.users.get(data.userId);
+    // Only the author of a message may ask, and only for its own dice
+    const allowed =
+        needsApproval() &&
+        user &&
+        message.author?.id === user.id &&
+        !message.getFlag(MODULE_ID, "rerolledBy") &&
+        isValidSelection(message, data.selection);
+    const approved = allowed && await Dialog.confirm({
+        title: game.i18n.localize("EKD.Reroll.ApprovalTitle"),
+        content: `<p>${game.i18n.format("EKD.Reroll.ApprovalContent", {
+            user: foundry.utils.escapeHTML(user.name),
+            count: data.selection.length,
+        })}</p>`,
+    });
+    let rolled = false;
+    if (approved) {
+        try {
+            await performReroll(message, data.selection, user);
+            rolled = true;
+        } catch (err) {
+            reportFailure(err);
+        }
+    }
+    game.socket.emit(SOCKET, {
+        action: rolled ? "rerollApproved" : "rerollDenied",
+        messageId: message.id,
+        userId: data.userId,
+    });
+}
+
+/* ---------------------------------------- */
+/*  Chat card                                */
+/* ---------------------------------------- */
+
+/**
+ * Add the selectable dice and "Reroll selected" button to a chat card,
+ * or a note linking to the follow-up roll once rerolled.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+export function decorateRerollControls(message, html) {
+    // Blind / GM-only rolls: the buttons would reveal the hidden faces
+    if (!message.rolls?.length || !message.isContentVisible) return;
+    const content = html.querySelector(".message-content");
+    if (!content || content.querySelector(".ekd-reroll")) return;
+
+    if (message.getFlag(MODULE_ID, "rerolledBy")) {
+        content.insertAdjacentHTML(
+            "beforeend",
+            `<p class="ekd-reroll ekd-reroll-done"><i class="fas fa-rotate"></i> ${game.i18n.localize("EKD.Reroll.Done")}</p>`,
+        );
+        return;
+    }
+    if (!canReroll(message)) return;
+
+    const dice = selectableDice(message);
+    if (!dice.length) return;
+
+    const buttons = dice.map((d) => {
+        const icons = faceSymbols(d.def, d.face - 1)
+            .map((sym) => symbolHtml(sym).repeat(sym.count))
+            .join("") || `<span>${d.face}</span>`;
+        return `<a class="ekd-reroll-die" data-roll="${d.roll}" data-term="${d.term}" data-result="${d.result}">${icons}</a>`;
+    });
+    const label = game.i18n.localize("EKD.Reroll.Selected");
+    content.insertAdjacentHTML(
+        "beforeend",
+        `<div class="ekd-reroll">` +
+        `<div class="ekd-reroll-dice">${buttons.join("")}</div>` +
+        `<button type="button" class="ekd-reroll-btn" disabled><i class="fas fa-rotate"></i> ${label}</button>` +
+        `</div>`,
+    );
+
+    const bar = content.querySelector(".ekd-reroll");
+    const button = bar.querySelector(".ekd-reroll-btn");
+    bar.addEventListener("click", (event) => {
+        const die = event.target.closest(".ekd-reroll-die");
+        if (die) {
+            event.preventDefault();
+            die.classList.toggle("selected");
+            button.disabled = !bar.querySelector(".ekd-reroll-die.selected");
+            return;
+        }
+        if (event.target.closest(".ekd-reroll-btn")) {
+            event.preventDefault();
+            const selection = [...bar.querySelectorAll(".ekd-reroll-die.selected")].map((el) => ({
+                roll: parseInt(el.dataset.roll),
+                term: parseInt(el.dataset.term),
+                result: parseInt(el.dataset.result),
+            }));
+            if (!selection.length) return;
+            button.disabled = true;
+            requestReroll(message, selection).catch((err) => {
+                reportFailure(err);
+                button.disabled = false;
+            });
+        }
+    });
+}
@@ -21,6 +21,12 @@ export const DEFAULT_USER_DICES_PATH = `${MODULE_ID}/dices`;
 /** Path to shared 3D geometries (.glb files). */
 export const GEOMETRIES_PATH = `${ASSETS_PATH}/geometries`;
 
+/** Folder, inside the user dice path, for the world's own geometries. */
+export const USER_GEOMETRIES_DIR = "geometries";
+
+/** Subfolder of USER_GEOMETRIES_DIR holding the sidecars of module geometries. */
+export const MODULE_GEOMETRIES_META_DIR = "module";
+
 /** Runtime accessor for the user-configurable dice data path. */
 export function getUserDicePath() {
     try {
@@ -29,3 +35,43 @@ export function getUserDicePath() {
         return DEFAULT_USER_DICES_PATH;
     }
 }
+
+/**
+ * Path of the GLB behind a dice's `geometry` value:
+ *   "name"       modules/exotik-dices/assets/geometries/name.glb
+ *   "user:name"  <user dice path>/geometries/name.glb
+ *   "die:name"   <user dice path>/<slug>/name.glb
+ * @param {string} geometry
+ * @param {string} [slug]  Dice slug, for per-dice geometries
+ * @returns {string|null}  null for "standard"
+ */
+export function geometryPath(geometry, slug) {
+    if (!geometry || geometry === "standard") return null;
+    if (geometry.startsWith("user:")) {
+        return `${getUserDicePath()}/${USER_GEOMETRIES_DIR}/${geometry.slice(5)}.glb`;
+    }
+    if (geometry.startsWith("die:")) {
+        return `${getUserDicePath()}/${slug}/${geometry.slice(4)}.glb`;
+    }
+    return `${GEOMETRIES_PATH}/${geometry}.glb`;
+}
+
+/**
+ * Path of the sidecar JSON holding a geometry's calibration.  Module
+ * geometries are calibrated in their own subfolder of the world's
+ * geometries folder, so updates of the module don't wipe the calibration
+ * and a world geometry of the same name keeps its own.
+ * @param {string} geometry
+ * @param {string} [slug]
+ * @returns {string|null}
+ */
+export function geometryMetaPath(geometry, slug) {
+    if (!geometry || geometry === "standard") return null;
+    if (geometry.startsWith("die:")) {
+        return `${getUserDicePath()}/${slug}/${geometry.slice(4)}.json`;
+    }
+    if (geometry.startsWith("user:")) {
+        return `${getUserDicePath()}/${USER_GEOMETRIES_DIR}/${geometry.slice(5)}.json`;
+    }
+    return `${getUserDicePath()}/${USER_GEOMETRIES_DIR}/${MODULE_GEOMETRIES_META_DIR}/${geometry}.json`;
+}
@@ -0,0 +1,238 @@
+/**
+ * Exotik Dices – Asset health report.
+ *
+ * "Validate" in the settings list checks a dice's files and faces:
+ *
+ *   errors    missing files (the fetch fails)
+ *   warnings  unsupported formats, non-square textures, texture / bump
+ *             size mismatch, oversized chat icons, faces with nothing to
+ *             show in chat (no icon, glyph, label or symbol), files in the
+ *             dice folder that nothing references or that the image
+ *             optimization replaced
+ *
+ * Results are shown in a dialog; face issues link to that face in the
+ * editor.
+ */
+
+import { MODULE_ID, geometryMetaPath, geometryPath } from "./constants.js";
+import { collectAssetPaths, collectFiles, diceFolder } from "./dicePorting.js";
+import { ExotikDiceConfig, resolveFace } from "./ExotikDiceConfig.js";
+
+/** Formats each face field may use. */
+const FORMATS = {
+    texture: ["png", "jpg", "jpeg", "webp"],
+    bump: ["png", "jpg", "jpeg", "webp"],
+    icon: ["svg", "png", "jpg", "jpeg", "webp", "gif"],
+    sound: ["ogg", "mp3", "wav", "webm", "flac", "m4a"],
+};
+
+/** Chat icons are shown at ~24px: anything past these is wasted. */
+const ICON_MAX_BYTES = 100 * 1024;
+const ICON_MAX_SIZE = 256;
+
+/**
+ * Extension of a path, lower case, without query string.
+ * @param {string} path
+ * @returns {string}
+ */
+function extensionOf(path) {
+    return path.split("?")[0].split(".").pop().toLowerCase();
+}
+
+/**
+ * Fetch an asset once and read what the checks need.
+ * @param {string} path
+ * @returns {Promise<{ ok: boolean, bytes?: number, width?: number, height?: number }>}
+ */
+async function probeAsset(path) {
+    let response;
+    try {
+        response = await fetch(path);
+    } catch {
+        return { ok: false };
+    }
+    if (!response.ok) return { ok: false };
+
+    const blob = await response.blob();
+    const info = { ok: true, bytes: blob.size };
+    // SVGs have no pixel size; other images are measured
+    if (blob.type.startsWith("image/") && blob.type !== "image/svg+xml") {
+        try {
+            const bitmap = await createImageBitmap(blob);
+            info.width = bitmap.width;
+            info.height = bitmap.height;
+            bitmap.close();
+        } catch {
+            /* undecodable: reported as unsupported by extension checks */
+        }
+    }
+    return info;
+}
+
+/**
+ * Check one dice.
+ * @param {object} def
+ * @returns {Promise<{ severity: "error"|"warning", face: number|null, message: string }[]>}
+ */
+export async function validateDice(def) {
+    const issues = [];
+    const issue = (severity, face, key, data = {}) =>
+        issues.push({ severity, face, message: game.i18n.format(`EKD.Health.${key}`, data) });
+
+    /** path -> probe result, shared by faces using the same file */
+    const probes = new Map();
+    const probe = (path) => {
+        if (!probes.has(path)) probes.set(path, probeAsset(path));
+        return probes.get(path);
+    };
+
+    for (let i = 0; i < def.faceMap.length; i++) {
+        const own = def.faceMap[i];
+        const face = resolveFace(def.faceMap, i);
+
+        // Faces buildChatSummary cannot show
+        const hasSymbols = Object.values(face?.symbols || {}).some((n) => n > 0);
+        if (!face?.icon && !face?.glyph && !face?.label && !hasSymbols) {
+            issue("warning", i, "NoChatOutput");
+        }
+
+        // Reference faces use their master's files, checked there
+        if (own?.refFace != null) continue;
+
+        const sizes = {};
+        for (const [field, formats] of Object.entries(FORMATS)) {
+            const path = own?.[field];
+            if (!path) continue;
+            const file = path.split("/").pop();
+
+            if (!formats.includes(extensionOf(path))) {
+                issue("warning", i, "Format", { field, file, formats: formats.join(", ") });
+            }
+            const info = await probe(path);
+            if (!info.ok) {
+                issue("error", i, "Missing", { field, file });
+                continue;
+            }
+            if (info.width) sizes[field] = info;
+
+            if ((field === "texture" || field === "bump") && info.width && info.width !== info.height) {
+                issue("warning", i, "NotSquare", { field, file, size: `${info.width}×${info.height}` });
+            }
+            if (field === "icon" && (info.bytes > ICON_MAX_BYTES || info.width > ICON_MAX_SIZE)) {
+                issue("warning", i, "IconTooLarge", {
+                    file,
+                    size: info.width ? `${info.width}×${info.height}` : `${Math.round(info.bytes / 1024)} KB`,
+                });
+            }
+        }
+
+        const { texture, bump } = sizes;
+        if (texture && bump && (texture.width !== bump.width || texture.height !== bump.height)) {
+            issue("warning", i, "SizeMismatch", {
+                texture: `${texture.width}×${texture.height}`,
+                bump: `${bump.width}×${bump.height}`,
+            });
+        }
+    }
+
+    // Symbol icons
+    for (const symbol of def.symbols || []) {
+        if (!symbol.icon) continue;
+        if (!(await probe(symbol.icon)).ok) {
+            issue("error", null, "SymbolMissing", { symbol: symbol.label || symbol.id, file: symbol.icon.split("/").pop() });
+        }
+    }
+
+    // Files nobody uses (originals/ is kept on purpose)
+    if (def.slug) {
+        const folder = await diceFolder(def);
+        const used = new Set(collectAssetPaths(def).map((p) => decodeURI(p.split("?")[0])));
+        if (def.geometry?.startsWith("die:")) {
+            used.add(geometryPath(def.geometry, def.slug));
+            used.add(geometryMetaPath(def.geometry, def.slug));
+        }
+        let files = [];
+        try {
+            files = await collectFiles(folder);
+        } catch {
+            issue("error", null, "NoFolder", { folder });
+        }
+        // An unused file next to a used one of the same name was converted
+        // by the image optimization, which cannot delete it
+        const stem = (path) => path.replace(/\.[^./]+$/, "");
+        const usedStems = new Set([...used].map(stem));
+        for (const file of files) {
+            const path = decodeURI(file);
+            if (path.endsWith("/dice.json") || path.includes("/originals/")) continue;
+            if (used.has(path)) continue;
+            const name = path.slice(folder.length + 1);
+            if (usedStems.has(stem(path))) issue("warning", null, "Replaced", { file: name });
+            else issue("warning", null, "Orphan", { file: name });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate a dice and show the report.
+ * @param {object} def
+ * @param {Application} [settingsApp]  Settings window, refreshed after edits
+ */
+export async function showDiceHealth(def, settingsApp = null) {
+    ui.notifications.info(game.i18n.format("EKD.Health.Checking", { name: def.name }));
+    let issues;
+    try {
+        issues = await validateDice(def);
+    } catch (err) {
+        console.error(`${MODULE_ID} | Asset check of ${def.name} failed:`, err);
+        ui.notifications.error(
+            game.i18n.format("EKD.Health.Failed", { name: def.name, error: err.message }),
+        );
+        return;
+    }
+    const editable = !def.faceMap?.[0]?.texture?.startsWith?.(`modules/${MODULE_ID}/`);
+
+    let content;
+    if (!issues.length) {
+        content = `<p class="ekd-health-ok"><i class="fas fa-circle-check"></i> ${game.i18n.localize("EKD.Health.AllGood")}</p>`;
+    } else {
+        const faceLabel = game.i18n.localize("EKD.Editor.Face");
+        const rows = issues.map(({ severity, face, message }) => {
+            const icon = severity === "error" ? "fa-circle-xmark" : "fa-triangle-exclamation";
+            const where = face == null
+                ? ""
+                : editable
+                    ? `<a class="ekd-health-face" data-face="${face}">${faceLabel} ${face + 1}</a> `
+                    : `<strong>${faceLabel} ${face + 1}</strong> `;
+            return `<li class="ekd-health-${severity}"><i class="fas ${icon}"></i> ${where}${message}</li>`;
+        });
+        const errors = issues.filter((i) => i.severity === "error").length;
+        content =
+            `<p>${game.i18n.format("EKD.Health.Summary", { errors, warnings: issues.length - errors })}</p>` +
+            `<ul class="ekd-health-list">${rows.join("")}</ul>`;
+    }
+
+    const dialog = new Dialog({
+        title: game.i18n.format("EKD.Health.Title", { name: def.name }),
+        content,
+        buttons: {
+            close: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("EKD.Health.Close"),
+            },
+        },
+        default: "close",
+        render: (html) => {
+            const el = html instanceof HTMLElement ? html : html[0];
+            el.querySelectorAll(".ekd-health-face").forEach((link) => {
+                link.addEventListener("click", (event) => {
+                    event.preventDefault();
+                    ExotikDiceConfig.editDice(def, settingsApp, { face: parseInt(link.dataset.face) });
+                    dialog.close();
+                });
+            });
+        },
+    }, { classes: ["dialog", "ekd-health"], width: 480 });
+    dialog.render(true);
+}
@@ -16,7 +16,62 @@
  */
 
 import { zipSync, unzipSync } from "./vendor/fflate.min.js";
-import { MODULE_ID, FP, DICES_PATH, getUserDicePath } from "./constants.js";
+import {
+    MODULE_ID,
+    FP,
+    DICES_PATH,
+    USER_GEOMETRIES_DIR,
+    geometryPath,
+    getUserDicePath,
+} from "./constants.js";
+import { loadGeometryMeta } from "./geometryCalibration.js";
+
+/* ──────────────────────────────────────────── */
+/*  Asset paths                                  */
+/* ──────────────────────────────────────────── */
+
+/** Face fields that hold an asset path. */
+const FACE_ASSET_KEYS = ["texture", "bump", "icon", "sound"];
+
+/**
+ * Visit every asset path of a definition (face assets, skin textures and
+ * symbol icons) and replace it with the value returned by `fn`.  Mutates
+ * `def`.
+ *
+ * @param {object} def                      Dice definition
+ * @param {(path: string) => string} fn     Path transform
+ */
+export function mapAssetPaths(def, fn) {
+    for (const face of def.faceMap || []) {
+        for (const key of FACE_ASSET_KEYS) {
+            if (face[key]) face[key] = fn(face[key]);
+        }
+    }
+    for (const skin of def.skins || []) {
+        for (const face of skin.faces || []) {
+            if (face?.texture) face.texture = fn(face.texture);
+            if (face?.bump) face.bump = fn(face.bump);
+        }
+    }
+    for (const symbol of def.symbols || []) {
+        if (symbol.icon) symbol.icon = fn(symbol.icon);
+    }
+    return def;
+}
+
+/**
+ * List every asset path referenced by a definition.
+ * @param {object} def
+ * @returns {string[]}
+ */
+export function collectAssetPaths(def) {
+    const paths = [];
+    mapAssetPaths(foundry.utils.deepClone(def), (p) => {
+        paths.push(p);
+        return p;
+    });
+    return paths;
+}
 
 /* ──────────────────────────────────────────── */
 /*  Export                                       */
@@ -27,7 +82,7 @@ import { MODULE_ID, FP, DICES_PATH, getUserDicePath } from "./constants.js";
  * @param {string} dir  Server-relative path
  * @returns {Promise<string[]>}
  */
-async function collectFiles(dir) {
+export async function collectFiles(dir) {
     const result = await FP.browse("data", dir);
     let files = [...(result.files || [])];
     for (const sub of result.dirs || []) {
@@ -36,6 +91,20 @@ async function collectFiles(dir) {
     return files;
 }
 
+/**
+ * Folder holding a dice: user data first, then the module's own dice.
+ * @param {object} diceDef
+ * @returns {Promise<string>}
+ */
+export async function diceFolder(diceDef) {
+    try {
+        await FP.browse("data", `${getUserDicePath()}/${diceDef.slug}`);
+        return `${getUserDicePath()}/${diceDef.slug}`;
+    } catch {
+        return `${DICES_PATH}/${diceDef.slug}`;
+    }
+}
+
 /**
  * Export a dice definition as a downloadable ZIP blob.
  *
@@ -44,6 +113,12 @@ async function collectFiles(dir) {
  *   <slug>/textures/...       — all asset files
  *   <slug>/bump_maps/...
  *   <slug>/chat_2d/...
+ *   <slug>/sounds/...
+ *   <slug>/geometries/<name>.glb  — the module or world geometry the dice
+ *                                   uses, if any (dice.json then says
+ *                                   "user:<name>"; per-dice geometries
+ *                                   already live in the dice folder)
+ *   <slug>/geometries/<name>.json — its face calibration, if any
  *
  * @param {object} diceDef   The dice definition object
  */
@@ -54,14 +129,7 @@ export async function exportDice(diceDef) {
         return;
     }
 
-    // Determine base path: try user data first, then module assets
-    let basePath;
-    try {
-        await FP.browse("data", `${getUserDicePath()}/${slug}`);
-        basePath = `${getUserDicePath()}/${slug}`;
-    } catch {
-        basePath = `${DICES_PATH}/${slug}`;
-    }
+    const basePath = await diceFolder(diceDef);
     const prefixLen = basePath.length + 1;
 
     // Collect all files from the dice folder
@@ -87,39 +155,56 @@ export async function exportDice(diceDef) {
     // Build the fflate input object
     const zipInput = {};
 
-    // 1. Fresh dice.json with relative paths
-    const exportDef = foundry.utils.deepClone(diceDef);
-    for (const face of exportDef.faceMap || []) {
-        for (const key of ["texture", "bump", "icon"]) {
-            if (face[key] && face[key].startsWith(basePath)) {
-                face[key] = face[key].slice(prefixLen);
+    // 1. Fresh dice.json with relative paths (without version queries,
+    //    they name files inside the ZIP)
+    const exportDef = mapAssetPaths(foundry.utils.deepClone(diceDef), (p) =>
+        p.startsWith(basePath) ? p.slice(prefixLen).split("?")[0] : p,
+    );
+
+    // 2. Shared geometry, so recipients get the same shape
+    const geometry = diceDef.geometry;
+    if (geometry && geometry !== "standard" && !geometry.startsWith("die:")) {
+        const name = geometry.replace(/^user:/, "");
+        try {
+            const resp = await fetch(geometryPath(geometry, slug));
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            zipInput[`${slug}/${USER_GEOMETRIES_DIR}/${name}.glb`] = new Uint8Array(await resp.arrayBuffer());
+            exportDef.geometry = `user:${name}`;
+            const meta = await loadGeometryMeta(geometry, slug);
+            if (Object.keys(meta).length) {
+                zipInput[`${slug}/${USER_GEOMETRIES_DIR}/${name}.json`] = new TextEncoder().encode(
+                    JSON.stringify(meta, null, 2),
+                );
             }
+        } catch (e) {
+            console.warn(`${MODULE_ID} | exportDice: geometry ${geometry} not bundled`, e);
         }
     }
+
     const jsonBytes = new TextEncoder().encode(
         JSON.stringify(exportDef, null, 2),
     );
     zipInput[`${slug}/dice.json`] = jsonBytes;
 
-    // 2. Asset files
+    // 3. Asset files
     const fetchPromises = assetFiles.map(async (filePath) => {
         try {
             const resp = await fetch(filePath);
             if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
             const buf = await resp.arrayBuffer();
             const relPath = filePath.slice(basePath.length - slug.length);
-            zipInput[relPath] = new Uint8Array(buf);
+            zipInput[relPath] ??= new Uint8Array(buf);
         } catch (e) {
             console.warn(`${MODULE_ID} | exportDice: skipping ${filePath}`, e);
         }
     });
     await Promise.all(fetchPromises);
 
-    // 3. Create ZIP
+    // 4. Create ZIP
     const zipped = zipSync(zipInput, { level: 6 });
     const blob = new Blob([zipped], { type: "application/zip" });
 
-    // 4. Trigger browser download
+    // 5. Trigger browser download
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -155,10 +240,10 @@ async function hashBytes(data) {
  *   1. A dice.json exists (at root or inside one subfolder)
  *   2. dice.json parses as valid JSON
  *   3. Required fields present: name, denomination, faceMap
- *   4. All referenced asset files (texture, bump, icon) exist in the ZIP
+ *   4. All referenced asset files (texture, bump, icon, sound) exist in the ZIP
  *
  * @param {Object<string, Uint8Array>} entries  fflate unzipSync result
- * @returns {{ ok: boolean, error?: string, slug?: string, def?: object, prefix?: string }}
+ * @returns {{ ok: boolean, error?: string, slug?: string, def?: object, prefix?: string, jsonKey?: string }}
  */
 function validateZipContents(entries) {
     const paths = Object.keys(entries);
@@ -199,22 +284,64 @@ function validateZipContents(entries) {
         : def.slug || def.name.toLowerCase().replace(/[^a-z0-9]+/g, "_");
 
     // Verify all referenced assets exist in the ZIP
-    for (const face of def.faceMap) {
-        for (const key of ["texture", "bump", "icon"]) {
-            const val = face[key];
-            if (!val) continue;
-            // The asset path in dice.json is relative to the dice folder
-            const expectedKey = prefix + val;
-            if (!entries[expectedKey]) {
-                return {
-                    ok: false,
-                    error: game.i18n.format("EKD.Import.MissingAsset", { path: val }),
-                };
-            }
+    for (const val of collectAssetPaths(def)) {
+        // The asset path in dice.json is relative to the dice folder
+        const expectedKey = prefix + val.split("?")[0];
+        if (!entries[expectedKey]) {
+            return {
+                ok: false,
+                error: game.i18n.format("EKD.Import.MissingAsset", { path: val }),
+            };
         }
     }
 
-    return { ok: true, slug, def, prefix };
+    return { ok: true, slug, def, prefix, jsonKey };
+}
+
+/**
+ * Decide where the geometry bundled in a ZIP goes: the world's
+ * geometries folder, under its own name unless a different file already
+ * has it ("rounded_d6" → "rounded_2_d6", …).  A file with the same
+ * content and calibration is reused.
+ *
+ * @param {Object<string, Uint8Array>} entries
+ * @param {string} prefix  ZIP folder of the dice
+ * @param {object} def     Imported definition
+ * @returns {Promise<{ data: Uint8Array, meta: Uint8Array|undefined, name: string, upload: boolean }|null>}
+ */
+async function planGeometryInstall(entries, prefix, def) {
+    if (!def.geometry?.startsWith("user:")) return null;
+    const original = def.geometry.slice(5);
+    const data = entries[`${prefix}${USER_GEOMETRIES_DIR}/${original}.glb`];
+    if (!data) return null;
+    const meta = entries[`${prefix}${USER_GEOMETRIES_DIR}/${original}.json`];
+
+    const dir = `${getUserDicePath()}/${USER_GEOMETRIES_DIR}`;
+    let existing = [];
+    try {
+        existing = (await FP.browse("data", dir)).files || [];
+    } catch {
+        // Folder doesn't exist yet
+    }
+
+    const hash = await hashBytes(data);
+    const m = original.match(/^(.*?)(_d\d+)?$/);
+    for (let n = 1; ; n++) {
+        const name = n === 1 ? original : `${m[1]}_${n}${m[2] ?? ""}`;
+        const path = existing.find((f) => decodeURIComponent(f.split("/").pop()) === `${name}.glb`);
+        if (!path) return { data, meta, name, upload: true };
+        try {
+            const resp = await fetch(path);
+            if (resp.ok && (await hashBytes(new Uint8Array(await resp.arrayBuffer()))) === hash) {
+                // Same shape, but faces numbered differently: keep both
+                const ownMeta = await loadGeometryMeta(`user:${name}`);
+                const bundled = meta ? JSON.parse(new TextDecoder().decode(meta)) : {};
+                if (JSON.stringify(ownMeta) === JSON.stringify(bundled)) {
+                    return { data, meta, name, upload: false };
+                }
+            }
+        } catch { /* unreadable: try the next name */ }
+    }
 }
 
 /**
@@ -265,10 +392,19 @@ export async function importDice(onComplete) {
             return;
         }
 
-        const { slug, def, prefix } = result;
+        const { slug, def, prefix, jsonKey } = result;
         const userPath = getUserDicePath();
         const destFolder = `${userPath}/${slug}`;
 
+        // Bundled geometry: pick its name in the world's geometries folder
+        // and point dice.json at it
+        const geometry = await planGeometryInstall(entries, prefix, def);
+        if (geometry && def.geometry !== `user:${geometry.name}`) {
+            def.geometry = `user:${geometry.name}`;
+            entries[jsonKey] = new TextEncoder().encode(JSON.stringify(def, null, 2));
+        }
+        const geometryPrefix = `${prefix}${USER_GEOMETRIES_DIR}/`;
+
         // Check denomination conflict with existing dice (different slug)
         const existing = game.settings.get(MODULE_ID, "diceDefinitions") || [];
         const conflict = existing.find(
@@ -324,7 +460,8 @@ export async function importDice(onComplete) {
                 // Also compare all asset files to be thorough
                 let allAssetsIdentical = true;
                 const zipPaths = Object.keys(entries).filter(
-                    (p) => !p.endsWith("/") && !p.endsWith("dice.json") && entries[p].length > 0,
+                    (p) => !p.endsWith("/") && !p.endsWith("dice.json") && entries[p].length > 0 &&
+                        !p.startsWith(geometryPrefix),
                 );
                 for (const zipPath of zipPaths) {
                     let relPath = prefix && zipPath.startsWith(prefix)
@@ -404,6 +541,8 @@ export async function importDice(onComplete) {
                 const data = entries[zipPath];
                 // Skip directory entries (zero-length entries whose path ends with /)
                 if (zipPath.endsWith("/") || data.length === 0) continue;
+                // The bundled geometry is installed with the world's geometries
+                if (zipPath.startsWith(geometryPrefix)) continue;
 
                 // Compute relative path from the prefix and rebuild under slug
                 let relPath;
@@ -439,6 +578,21 @@ export async function importDice(onComplete) {
                 uploaded++;
             }
 
+            if (geometry?.upload) {
+                const dir = `${userPath}/${USER_GEOMETRIES_DIR}`;
+                try {
+                    await FP.createDirectory("data", dir);
+                } catch {
+                    // Already exists
+                }
+                await FP.upload("data", dir, new File([geometry.data], `${geometry.name}.glb`), {});
+                uploaded++;
+                if (geometry.meta) {
+                    await FP.upload("data", dir, new File([geometry.meta], `${geometry.name}.json`), {});
+                    uploaded++;
+                }
+            }
+
             console.log(`${MODULE_ID} | importDice: uploaded ${uploaded} file(s) to ${destFolder}`);
         } catch (err) {
             console.error(`${MODULE_ID} | importDice upload error:`, err);
@@ -450,6 +604,11 @@ export async function importDice(onComplete) {
         ui.notifications.info(
             game.i18n.format(msgKey, { name: def.name }),
         );
+        if (geometry?.upload) {
+            ui.notifications.info(
+                game.i18n.format("EKD.Import.GeometryInstalled", { file: `${geometry.name}.glb` }),
+            );
+        }
 
         if (typeof onComplete === "function") onComplete();
     });
@@ -465,24 +624,18 @@ export async function importDice(onComplete) {
 /**
  * Write (or overwrite) a dice.json file inside a dice folder.
  *
- * Paths in faceMap are converted to relative (relative to the dice folder)
- * before writing, so the result is portable.
+ * Asset paths (faces and symbol icons) are converted to relative (relative
+ * to the dice folder) before writing, so the result is portable.
  *
  * @param {object} diceDef   The dice definition (with absolute paths)
  * @param {string} basePath  The dice folder  e.g. "exotik-dices/dices/my_slug"
  */
 export async function writeDiceJson(diceDef, basePath) {
-    const exportDef = foundry.utils.deepClone(diceDef);
-
     // Convert absolute paths to relative
     const prefix = basePath.endsWith("/") ? basePath : basePath + "/";
-    for (const face of exportDef.faceMap || []) {
-        for (const key of ["texture", "bump", "icon"]) {
-            if (face[key] && face[key].startsWith(prefix)) {
-                face[key] = face[key].slice(prefix.length);
-            }
-        }
-    }
+    const exportDef = mapAssetPaths(foundry.utils.deepClone(diceDef), (p) =>
+        p.startsWith(prefix) ? p.slice(prefix.length) : p,
+    );
 
     const jsonStr = JSON.stringify(exportDef, null, 2);
     const blob = new Blob([jsonStr], { type: "application/json" });
@@ -521,17 +674,9 @@ async function readDiceJson(jsonPath, folderPath) {
 
         // Resolve relative asset paths to absolute
         const prefix = folderPath.endsWith("/") ? folderPath : folderPath + "/";
-        for (const face of def.faceMap || []) {
-            for (const key of ["texture", "bump", "icon"]) {
-                if (
-                    face[key] &&
-                    !face[key].startsWith("modules/") &&
-                    !face[key].startsWith(MODULE_ID)
-                ) {
-                    face[key] = prefix + face[key];
-                }
-            }
-        }
+        mapAssetPaths(def, (p) =>
+            p.startsWith("modules/") || p.startsWith(MODULE_ID) ? p : prefix + p,
+        );
 
         // Ensure slug matches folder name
         def.slug = folderPath.split("/").pop();
@@ -559,6 +704,8 @@ export async function syncDiceFromFilesystem() {
         try {
             const result = await FP.browse("data", scanPath);
             for (const dir of result.dirs || []) {
+                // The world's shared geometries live next to the dice
+                if (dir.split("/").pop() === USER_GEOMETRIES_DIR) continue;
                 allSubDirs.push(dir);
             }
         } catch {
@@ -0,0 +1,282 @@
+/**
+ * Exotik Dices – Dice So Nice helpers.
+ *
+ * Appearance: a dice may carry its own colors, material, texture and font
+ * (`def.appearance` in dice.json), applied over the roller's DSN colorset
+ * when it is rolled and used by the editor preview.
+ *
+ * Skins: a dice may list alternative texture / bump sets (`def.skins`).
+ * Each skin is registered as a preset of its own DSN system (listed in
+ * DSN's system dropdown, DSN has no hidden systems) and every player
+ * picks the skin they roll with (`diceSkins` client setting).  The pick
+ * travels with the roll, so every client shows the roller's skin.
+ *
+ * Per-face special effects: a face may name a DSN special effect in its
+ * `sfx` field (e.g. confetti when "Cuori" lands).  Our dice are offered
+ * as SFX triggers in DSN's own settings, and the effects declared in
+ * dice.json are appended to every user's special-effect list.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { resolveFace } from "./ExotikDiceConfig.js";
+
+/** Appearance fields a dice may set; empty ones keep the roller's. */
+export const APPEARANCE_KEYS = [
+    "background",
+    "foreground",
+    "outline",
+    "edge",
+    "material",
+    "texture",
+    "font",
+];
+
+/** Materials offered by Dice So Nice. */
+export const DSN_MATERIALS = [
+    "plastic",
+    "metal",
+    "glass",
+    "wood",
+    "chrome",
+    "pristine",
+    "iridescent",
+    "stone",
+];
+
+/** Look of the editor preview for fields the dice leaves empty. */
+export const PREVIEW_APPEARANCE = {
+    foreground: "#FFFFFF",
+    background: "#3a3a5e",
+    outline: "#555555",
+    edge: "",
+    texture: "none",
+    material: "pristine",
+    font: "Arial",
+};
+
+/**
+ * Keep only the known, non-empty appearance fields.
+ * @param {object} [raw]
+ * @returns {object}
+ */
+export function parseAppearance(raw) {
+    const appearance = {};
+    for (const key of APPEARANCE_KEYS) {
+        const value = String(raw?.[key] ?? "").trim();
+        if (value) appearance[key] = value;
+    }
+    return appearance;
+}
+
+/**
+ * Merge a dice's own appearance over a DSN appearance object.
+ * @param {object} def   Dice definition
+ * @param {object} base  Appearance DSN would use otherwise
+ * @returns {object}     A new object (base is left untouched)
+ */
+export function buildAppearance(def, base) {
+    const own = parseAppearance(def?.appearance);
+    if (!Object.keys(own).length) return { ...base };
+    return { ...base, colorset: "custom", ...own };
+}
+
+/* ─── Skins ─── */
+
+/**
+ * DSN system holding the presets of a skin.
+ * @param {string} skinId
+ * @returns {string}
+ */
+export function skinSystemId(skinId) {
+    return `ekd-skin-${skinId}`;
+}
+
+/**
+ * Per-face asset list of a skin.  Faces the skin leaves empty use the
+ * skin's asset of their master face, then the dice's own asset.
+ * @param {object} def
+ * @param {object} skin
+ * @param {"texture"|"bump"} key
+ * @returns {string[]}
+ */
+export function skinAssets(def, skin, key) {
+    return def.faceMap.map((_, i) => {
+        const master = resolveFace(def.faceMap, i);
+        const masterIdx = def.faceMap.indexOf(master);
+        return skin.faces?.[i]?.[key] || skin.faces?.[masterIdx]?.[key] || master?.[key] || "";
+    });
+}
+
+/**
+ * Register the presets of every skin of a dice, each in its own DSN
+ * system.
+ * @param {object} dice3d
+ * @param {object} def
+ * @param {string} shape  DSN geometry type ("d6", …)
+ */
+export function registerSkinPresets(dice3d, def, shape) {
+    const factory = dice3d.DiceFactory;
+    for (const skin of def.skins || []) {
+        if (!skin?.id) continue;
+        const system = skinSystemId(skin.id);
+        if (!factory.systems.has(system)) {
+            factory.addSystem({ id: system, name: `Exotik Dices: ${skin.name || skin.id}` }, false);
+        }
+        const presetData = {
+            type: `d${def.denomination}`,
+            labels: skinAssets(def, skin, "texture"),
+            system,
+        };
+        const bumpMaps = skinAssets(def, skin, "bump");
+        if (bumpMaps.some((b) => b)) presetData.bumpMaps = bumpMaps;
+        try {
+            dice3d.addDicePreset(presetData, shape);
+        } catch (err) {
+            console.warn(`${MODULE_ID} | DSN preset error for d${def.denomination} skin "${skin.id}":`, err);
+        }
+    }
+}
+
+/**
+ * DSN system to roll a dice with: the current player's skin, else "ekd".
+ * @param {object} def
+ * @returns {string}
+ */
+export function skinSystemFor(def) {
+    const skinId = game.settings.get(MODULE_ID, "diceSkins")?.[def?.denomination];
+    const skin = def?.skins?.find((s) => s.id === skinId);
+    return skin ? skinSystemId(skin.id) : "ekd";
+}
+
+/**
+ * Term options carrying the roller's skin, as a DSN per-die appearance
+ * (`options.appearance.system`), so every client renders that skin.
+ * @param {object} def
+ * @param {object} [options]  Term options
+ * @returns {object}          The options, with the skin added if any
+ */
+export function withRollerSkin(def, options = {}) {
+    const system = skinSystemFor(def);
+    if (system === "ekd" || options.appearance?.system) return options;
+    return { ...options, appearance: { ...options.appearance, system } };
+}
+
+/**
+ * Whether Dice So Nice animates a chat message on this client, and so
+ * fires `diceSoNiceRollComplete` for it: 3D dice enabled, dice to throw
+ * and a result this user may see.
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+export function diceSoNiceAnimates(message) {
+    if (!game.dice3d?.isEnabled?.() || !message?.isContentVisible) return false;
+    return !!message.rolls?.some((roll) => roll.dice.length);
+}
+
+/**
+ * DSN system a die is rendered with: the skin carried by the roll when
+ * the dice still has it, else "ekd".
+ * @param {object} def
+ * @param {string} [system]  System of the roller's appearance
+ * @returns {string}
+ */
+export function renderSystemFor(def, system) {
+    const skin = def?.skins?.find((s) => s?.id && skinSystemId(s.id) === system);
+    return skin ? system : "ekd";
+}
+
+/* ─── Special effects ─── */
+
+/** Special effects shipped with Dice So Nice, offered in the editor. */
+export const DSN_SFX_MODES = [
+    "PlayAnimationBright",
+    "PlayAnimationDark",
+    "PlayAnimationOutline",
+    "PlayAnimationImpact",
+    "PlayAnimationThormund",
+    "PlayAnimationParticleSpiral",
+    "PlayAnimationParticleSparkles",
+    "PlayAnimationParticleVortex",
+    "PlayConfettiStrength1",
+    "PlayConfettiStrength2",
+    "PlayConfettiStrength3",
+    "PlaySoundEpicWin",
+    "PlaySoundEpicFail",
+];
+
+/**
+ * Special-effect entries for the faces that declare one, in the format
+ * of DSN's `specialEffects` list (one entry per dice and effect).
+ * @param {object[]} definitions
+ * @returns {{ diceType: string, onResult: string[], specialEffect: string, options: object }[]}
+ */
+export function faceSfxEntries(definitions) {
+    const entries = [];
+    for (const def of definitions) {
+        /** effect -> face numbers */
+        const byEffect = new Map();
+        def.faceMap.forEach((_, i) => {
+            const sfx = resolveFace(def.faceMap, i)?.sfx;
+            if (!sfx) return;
+            if (!byEffect.has(sfx)) byEffect.set(sfx, []);
+            byEffect.get(sfx).push(String(i + 1));
+        });
+        for (const [specialEffect, onResult] of byEffect) {
+            entries.push({ diceType: `d${def.denomination}`, onResult, specialEffect, options: {} });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Offer our dice as triggers in DSN's special-effects settings, so users
+ * can add their own effects on top of the authored ones.
+ * @param {object} dice3d
+ * @param {object[]} definitions
+ */
+export function registerSFXTriggers(dice3d, definitions) {
+    if (typeof dice3d?.addSFXTrigger !== "function") return;
+    for (const def of definitions) {
+        const faces = def.faceMap.map((_, i) => String(i + 1));
+        try {
+            dice3d.addSFXTrigger(`d${def.denomination}`, `Exotik Dices: ${def.name}`, faces);
+        } catch (err) {
+            console.warn(`${MODULE_ID} | DSN SFX trigger error for d${def.denomination}:`, err);
+        }
+    }
+}
+
+/**
+ * Wrap Dice3D.ALL_CUSTOMIZATION so the authored face effects are added
+ * to the special effects of every roll, whoever rolls it.  DSN has no
+ * public API for this (addSFXTrigger only offers our dice in its
+ * settings), so the internal is used when present and left alone
+ * otherwise: face effects are then simply not played.
+ * @param {object} dice3d
+ */
+export function patchSpecialEffects(dice3d) {
+    const Dice3D = dice3d?.constructor;
+    const original = Dice3D?.ALL_CUSTOMIZATION;
+    if (typeof original !== "function") {
+        console.warn(`${MODULE_ID} | Dice3D.ALL_CUSTOMIZATION not found, face SFX disabled`);
+        return;
+    }
+    const addEffects = (config) => {
+        if (!config || typeof config !== "object") return config;
+        try {
+            const definitions = game.modules.get(MODULE_ID).api.getDefinitions();
+            config.specialEffects = [
+                ...(Array.isArray(config.specialEffects) ? config.specialEffects : []),
+                ...faceSfxEntries(definitions),
+            ];
+        } catch (err) {
+            console.warn(`${MODULE_ID} | Face SFX not added:`, err);
+        }
+        return config;
+    };
+    // Sync in older DSN releases, async in newer ones
+    Dice3D.ALL_CUSTOMIZATION = function (...args) {
+        const config = original.apply(this, args);
+        return config instanceof Promise ? config.then(addEffects) : addEffects(config);
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Exotik Dices – Face-triggered actions.
+ *
+ * A face may declare `onResult: { type, target }` in dice.json:
+ *
+ *   macro   target = macro name or UUID, executed with the roll context
+ *   effect  target = status effect id (e.g. "prone") or ActiveEffect UUID,
+ *           applied to the speaker's actor
+ *   chat    target = text posted to chat; {label}, {die}, {actor} and
+ *           {user} are replaced
+ *
+ * Actions run once, on the client of the user who created the message,
+ * for every active face of the roll, nested ones included: after the Dice
+ * So Nice animation when DSN animates the message, so they don't spoil
+ * the result, as soon as it is created otherwise.  Permission checks are
+ * left to Foundry (macro execution, actor ownership).
+ *
+ * Faces may also carry a `sound` file, played on every client.
+ */
+
+import { MODULE_ID } from "./constants.js";
+
+/** Ids of the messages whose actions already ran on this client. */
+const _actionsRun = new Set();
+
+/** Ids of the messages whose sounds already played on this client. */
+const _soundsPlayed = new Set();
+
+/**
+ * Active results of a message whose face has an action, from every die of
+ * its rolls (nested ones included), skipping results already present in
+ * the original message of a chat reroll.
+ * @param {ChatMessage} message
+ * @returns {{ denomination: string, result: number, face: object }[]}
+ */
+function triggeredFaces(message) {
+    const api = game.modules.get(MODULE_ID).api;
+    const original = game.messages.get(message.getFlag(MODULE_ID, "rerollOf"));
+    const triggered = [];
+
+    message.rolls.forEach((roll, ri) => {
+        roll.dice.forEach((term, di) => {
+            const denom = term.constructor?.DENOMINATION;
+            if (!denom || !api.getDefinition(denom)) return;
+            const seen = original?.rolls[ri]?.dice[di]?.results?.length ?? 0;
+            term.results.forEach((r, ki) => {
+                if (!r.active || ki < seen) return;
+                const face = api.resolveFace(denom, r.result);
+                if (face?.onResult?.type) triggered.push({ denomination: denom, result: r.result, face });
+            });
+        });
+    });
+    return triggered;
+}
+
+/**
+ * Run one face action.
+ * @param {object} action        { type, target }
+ * @param {object} context
+ * @param {ChatMessage} context.message
+ * @param {Actor|null} context.actor
+ * @param {object} context.face
+ * @param {string} context.denomination
+ */
+async function runAction({ type, target }, { message, actor, face, denomination }) {
+    switch (type) {
+        case "macro": {
+            const macro = game.macros.getName(target) ?? (await fromUuid(target));
+            if (!(macro instanceof Macro)) {
+                throw new Error(`macro "${target}" not found`);
+            }
+            if (!macro.canExecute) {
+                throw new Error(`you cannot execute macro "${macro.name}"`);
+            }
+            const speaker = message.speaker;
+            const token = canvas.tokens?.get(speaker.token) ?? null;
+            await macro.execute({ speaker, actor, token, message, face, denomination });
+            break;
+        }
+
+        case "effect": {
+            if (!actor) throw new Error("the roll has no speaker actor");
+            if (!actor.isOwner) throw new Error(`you do not own ${actor.name}`);
+            if (CONFIG.statusEffects.some((e) => e.id === target)) {
+                await actor.toggleStatusEffect(target, { active: true });
+                break;
+            }
+            const effect = await fromUuid(target);
+            if (!(effect instanceof ActiveEffect)) {
+                throw new Error(`effect "${target}" not found`);
+            }
+            const data = effect.toObject();
+            data.origin ??= effect.uuid;
+            await actor.createEmbeddedDocuments("ActiveEffect", [data]);
+            break;
+        }
+
+        case "chat": {
+            // Names and labels are user input: escape them into the HTML
+            const content = target.replace(/\{(label|die|actor|user)\}/g, (_, key) =>
+                foundry.utils.escapeHTML(String({
+                    label: face.label || "",
+                    die: `d${denomination}`,
+                    actor: actor?.name ?? message.speaker.alias ?? "",
+                    user: game.user.name,
+                }[key])),
+            );
+            await ChatMessage.implementation.create({
+                content,
+                speaker: message.speaker,
+                whisper: message.whisper,
+                blind: message.blind,
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Run the actions of every face that came up in a new chat message.
+ * Call once the faces are revealed (DSN animation done, or message
+ * DSN does not animate); only the author's client acts, once per message.
+ * @param {ChatMessage} message
+ */
+export async function runFaceActions(message) {
+    if (!message?.isAuthor || !message.rolls?.length) return;
+    if (_actionsRun.has(message.id)) return;
+    _actionsRun.add(message.id);
+
+    const actor = ChatMessage.getSpeakerActor(message.speaker);
+    for (const { denomination, face } of triggeredFaces(message)) {
+        try {
+            await runAction(face.onResult, { message, actor, face, denomination });
+        } catch (err) {
+            console.warn(`${MODULE_ID} | d${denomination} face action failed:`, err);
+            ui.notifications.warn(
+                game.i18n.format("EKD.Actions.Failed", {
+                    label: face.label || `d${denomination}`,
+                    error: err.message,
+                }),
+            );
+        }
+    }
+}
+
+/**
+ * Play the sounds of the faces that came up in a message, each file once.
+ * Runs on every client: after the Dice So Nice animation when DSN
+ * animates the message, as soon as it is created otherwise.
+ * @param {ChatMessage} message
+ */
+export function playFaceSounds(message) {
+    // Blind / hidden rolls: the sound would give the result away
+    if (!message?.rolls?.length || !message.isContentVisible) return;
+    if (_soundsPlayed.has(message.id)) return;
+    _soundsPlayed.add(message.id);
+    const api = game.modules.get(MODULE_ID).api;
+    const sounds = new Set();
+    for (const roll of message.rolls) {
+        for (const term of roll.dice) {
+            const denom = term.constructor?.DENOMINATION;
+            if (!api.getDefinition(denom)) continue;
+            for (const r of term.results) {
+                const sound = r.active && api.resolveFace(denom, r.result)?.sound;
+                if (sound) sounds.add(sound);
+            }
+        }
+    }
+    for (const src of sounds) {
+        foundry.audio.AudioHelper.play({ src, volume: 0.8, autoplay: true, loop: false }, false);
+    }
+}
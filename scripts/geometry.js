@@ -0,0 +1,267 @@
+/**
+ * Exotik Dices – Custom geometry loading and checks.
+ *
+ * A GLB may hold one mesh or several (one per face, body and faces…).
+ * A single mesh is used as is, like Dice So Nice does; several are
+ * merged into one geometry, in scene coordinates.
+ *
+ * Dice So Nice paints the labels of a die into one texture atlas, and a
+ * model shows a label through the UVs of its faces.  The faces of a model
+ * are therefore its UV islands: triangles connected through shared
+ * vertices.  Islands much smaller than the largest one are rounded edges
+ * and corners, not faces.  A model fits a dice when it has exactly one
+ * face-sized island per face.
+ *
+ * Size and physics: the geometry's sidecar JSON (see geometryMetaPath),
+ * then the dice's own `physics` in dice.json, may set
+ *
+ *   scale    size of the model and of its physics body, 1 = DSN's own
+ *   mass     and inertia of the physics body, DSN's standard shape's
+ *   inertia  when unset
+ *   shape    DSN shape of the collision body ("d6", …), with as many
+ *            faces as the dice
+ *
+ * DSN builds a die, physics body included, from its preset, so these are
+ * written on the dice's presets (applyPresetPhysics).  The collision body
+ * is always one of DSN's shapes, never the model itself.
+ */
+
+import { MODULE_ID } from "./constants.js";
+
+/** Smallest face, as a share of the largest island's surface. */
+const FACE_AREA_RATIO = 0.3;
+
+/** Numeric size and physics fields. */
+export const PHYSICS_NUMBERS = ["scale", "mass", "inertia"];
+
+/**
+ * The geometry of a loaded GLB scene: its only mesh, untransformed, or
+ * every mesh merged in scene coordinates.
+ * @param {THREE.Object3D} scene
+ * @returns {THREE.BufferGeometry|null}  null when the scene has no mesh
+ */
+export function mergeMeshes(scene) {
+    scene.updateMatrixWorld(true);
+    const parts = [];
+    scene.traverse((child) => {
+        if (child.isMesh && child.geometry?.attributes.position) parts.push(child);
+    });
+    if (!parts.length) return null;
+    // Node transforms only place the parts relative to each other
+    if (parts.length === 1) return parts[0].geometry;
+
+    // THREE is not global: take its classes from the loaded geometry
+    const merged = new parts[0].geometry.constructor();
+    const Float32Attribute = merged.setFromPoints([]).attributes.position.constructor;
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const index = [];
+    let offset = 0;
+    let hasNormals = true;
+
+    for (const part of parts) {
+        const g = part.geometry.clone().applyMatrix4(part.matrixWorld);
+        const { position, normal, uv } = g.attributes;
+        hasNormals &&= !!normal;
+        for (let i = 0; i < position.count; i++) {
+            positions.push(position.getX(i), position.getY(i), position.getZ(i));
+            if (normal) normals.push(normal.getX(i), normal.getY(i), normal.getZ(i));
+            uvs.push(uv ? uv.getX(i) : 0, uv ? uv.getY(i) : 0);
+        }
+        const corners = g.index ? g.index.count : position.count;
+        for (let i = 0; i < corners; i++) index.push(offset + (g.index ? g.index.getX(i) : i));
+        offset += position.count;
+        g.dispose();
+    }
+
+    merged.setAttribute("position", new Float32Attribute(positions, 3));
+    merged.setAttribute("uv", new Float32Attribute(uvs, 2));
+    merged.setIndex(index);
+    if (hasNormals) merged.setAttribute("normal", new Float32Attribute(normals, 3));
+    else merged.computeVertexNormals();
+    return merged;
+}
+
+/**
+ * Load a GLB and merge its meshes.
+ * @param {object} loader  Dice So Nice's GLTFLoader (`DiceFactory.loaderGLTF`)
+ * @param {string|ArrayBuffer} source  URL, or the file's content
+ * @returns {Promise<THREE.BufferGeometry|null>}
+ */
+export function loadGlb(loader, source) {
+    return new Promise((resolve, reject) => {
+        const onLoad = (gltf) => resolve(mergeMeshes(gltf.scene));
+        if (typeof source === "string") loader.load(source, onLoad, undefined, reject);
+        else loader.parse(source, "", onLoad, reject);
+    });
+}
+
+/**
+ * The faces of a geometry: its face-sized UV islands, in atlas order
+ * (rows from the bottom, then left to right).
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{ vertices: number[], uvMin: number[], center: number[], normal: number[] }[]}
+ */
+export function findFaces(geometry) {
+    const { position, uv } = geometry.attributes;
+    if (!position || !uv) return [];
+    const index = geometry.index;
+    const corners = index ? index.count : position.count;
+    const vertexAt = (i) => (index ? index.getX(i) : i);
+
+    // Union-find over vertices; copies with the same position and UV
+    // (non-indexed or split models) count as one
+    const parent = Int32Array.from({ length: position.count }, (_, i) => i);
+    const find = (v) => {
+        while (parent[v] !== v) v = parent[v] = parent[parent[v]];
+        return v;
+    };
+    const union = (a, b) => {
+        parent[find(a)] = find(b);
+    };
+    const seen = new Map();
+    for (let v = 0; v < position.count; v++) {
+        const key = [position.getX(v), position.getY(v), position.getZ(v), uv.getX(v), uv.getY(v)]
+            .map((x) => x.toFixed(4))
+            .join();
+        if (seen.has(key)) union(v, seen.get(key));
+        else seen.set(key, v);
+    }
+    for (let i = 0; i + 2 < corners; i += 3) {
+        union(vertexAt(i), vertexAt(i + 1));
+        union(vertexAt(i), vertexAt(i + 2));
+    }
+
+    // Surface, center and normal of every island
+    const islands = new Map();
+    const point = (v) => [position.getX(v), position.getY(v), position.getZ(v)];
+    for (let i = 0; i + 2 < corners; i += 3) {
+        const root = find(vertexAt(i));
+        if (!islands.has(root)) {
+            islands.set(root, { vertices: [], uvMin: [Infinity, Infinity], sum: [0, 0, 0], normal: [0, 0, 0], area: 0 });
+        }
+        const island = islands.get(root);
+        const [a, b, c] = [point(vertexAt(i)), point(vertexAt(i + 1)), point(vertexAt(i + 2))];
+        const ab = a.map((x, k) => b[k] - x);
+        const ac = a.map((x, k) => c[k] - x);
+        const n = [
+            ab[1] * ac[2] - ab[2] * ac[1],
+            ab[2] * ac[0] - ab[0] * ac[2],
+            ab[0] * ac[1] - ab[1] * ac[0],
+        ];
+        const area = Math.hypot(...n) / 2;
+        for (let k = 0; k < 3; k++) {
+            island.sum[k] += ((a[k] + b[k] + c[k]) / 3) * area;
+            island.normal[k] += n[k];
+        }
+        island.area += area;
+    }
+    for (let v = 0; v < position.count; v++) {
+        const island = islands.get(find(v));
+        if (!island) continue;
+        island.vertices.push(v);
+        island.uvMin[0] = Math.min(island.uvMin[0], uv.getX(v));
+        island.uvMin[1] = Math.min(island.uvMin[1], uv.getY(v));
+    }
+
+    const largest = Math.max(0, ...[...islands.values()].map((i) => i.area));
+    const row = (island) => Math.round(island.uvMin[1] * 1000);
+    return [...islands.values()]
+        .filter((i) => i.area > 0 && i.area >= largest * FACE_AREA_RATIO)
+        .sort((a, b) => row(a) - row(b) || a.uvMin[0] - b.uvMin[0])
+        .map((i) => {
+            const length = Math.hypot(...i.normal) || 1;
+            return {
+                vertices: i.vertices,
+                uvMin: i.uvMin,
+                center: i.sum.map((x) => x / i.area),
+                normal: i.normal.map((x) => x / length),
+            };
+        });
+}
+
+/**
+ * Why a geometry cannot be used for a dice, if it can't.
+ * @param {THREE.BufferGeometry|null} geometry
+ * @param {number} faceCount
+ * @returns {string|null}  A localized reason, null when the model fits
+ */
+export function geometryProblem(geometry, faceCount) {
+    if (!geometry) return game.i18n.localize("EKD.Editor.GeometryNoMesh");
+    if (!geometry.attributes.uv) return game.i18n.localize("EKD.Editor.GeometryNoUV");
+    const found = findFaces(geometry).length;
+    if (found !== faceCount) {
+        return game.i18n.format("EKD.Editor.GeometryFaceMismatch", { found, faces: faceCount });
+    }
+    return null;
+}
+
+/* ─── Size and physics ─── */
+
+/**
+ * Keep only valid size and physics fields: positive numbers, a shape name.
+ * @param {object} [raw]
+ * @returns {{ scale?: number, mass?: number, inertia?: number, shape?: string }}
+ */
+export function parsePhysics(raw) {
+    const physics = {};
+    for (const key of PHYSICS_NUMBERS) {
+        const value = Number(raw?.[key]);
+        if (value > 0) physics[key] = value;
+    }
+    const shape = String(raw?.shape ?? "").trim();
+    if (shape) physics.shape = shape;
+    return physics;
+}
+
+/**
+ * Number of faces of a Dice So Nice shape, from its standard preset.
+ * @param {string} shape
+ * @returns {number|undefined}
+ */
+function shapeFaces(shape) {
+    const standard = game.dice3d?.DiceFactory?.systems?.get("standard");
+    const preset = [...(standard?.dice.values() ?? [])].find((p) => p.shape === shape);
+    return preset?.values?.length;
+}
+
+/**
+ * Size and physics of a dice with a custom geometry: its own `physics`
+ * over the geometry's sidecar.  A shape with another face count than the
+ * dice would report wrong results, and is dropped.
+ * @param {object} meta   Sidecar of the geometry
+ * @param {object} [own]  `physics` of the dice
+ * @param {number} faceCount
+ * @returns {{ scale?: number, mass?: number, inertia?: number, shape?: string }}
+ */
+export function resolvePhysics(meta, own, faceCount) {
+    const physics = { ...parsePhysics(meta), ...parsePhysics(own) };
+    if (physics.shape && shapeFaces(physics.shape) !== faceCount) {
+        console.warn(`${MODULE_ID} | Shape "${physics.shape}" does not have ${faceCount} faces, ignored`);
+        delete physics.shape;
+    }
+    return physics;
+}
+
+/**
+ * Write size and physics on every DSN preset of a dice (its "ekd" one and
+ * its skins'), over the standard shape's values, so DSN sizes and weighs
+ * the physics body like the model.  Empty physics restore the standard.
+ * @param {object} factory  DSN DiceFactory
+ * @param {string} type     Dice type ("dh")
+ * @param {string} shape    DSN shape of the dice ("d6", …)
+ * @param {{ scale?: number, mass?: number, inertia?: number, shape?: string }} physics
+ */
+export function applyPresetPhysics(factory, type, shape, physics) {
+    const standard = factory?.systems?.get("standard")?.dice.get(shape);
+    if (!standard) return;
+    for (const [id, system] of factory.systems) {
+        const preset = id === "standard" ? null : system.dice?.get(type);
+        if (!preset) continue;
+        preset.shape = physics.shape ?? standard.shape;
+        preset.mass = physics.mass ?? standard.mass;
+        preset.inertia = physics.inertia ?? standard.inertia;
+        preset.scale = (standard.scale ?? 1) * (physics.scale ?? 1);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Exotik Dices – Face calibration of custom geometries.
+ *
+ * Dice So Nice reports the result of the standard shape's face on top,
+ * while a custom model shows whatever label its own UVs point to (see
+ * geometry.js).  A model whose faces are laid out in another order than
+ * DSN's shape shows one face and reports another.
+ *
+ * The editor's calibration mode lets the author say which result each
+ * face of the model shows.  The answer is stored next to the geometry in
+ * a sidecar JSON (see geometryMetaPath):
+ *
+ *   { "faceOrder": "uv", "faces": { "<face>": <result>, … } }
+ *
+ * where faces are the model's UV islands (findFaces) numbered from 0 in
+ * atlas order, and applied to the geometry when it is loaded, before any
+ * roll: each face's UVs move to the atlas cell of its result.
+ * Uncalibrated, face k shows result k+1.  A "faces" entry without
+ * "faceOrder" was keyed by GLB material groups and is not read.
+ */
+
+import { FP, GEOMETRIES_PATH, MODULE_ID, geometryMetaPath, getUserDicePath } from "./constants.js";
+import { findFaces } from "./geometry.js";
+
+/** How the faces of a stored calibration are numbered. */
+const FACE_ORDER = "uv";
+
+/**
+ * Read a geometry's sidecar: the world's copy, else one shipped with the
+ * module geometry.  A calibration in another face numbering is dropped:
+ * its faces would be swapped at random.
+ * @param {string} geometry  Geometry value of a dice
+ * @param {string} [slug]
+ * @returns {Promise<object>}  {} when there is none
+ */
+export async function loadGeometryMeta(geometry, slug) {
+    const paths = [geometryMetaPath(geometry, slug)];
+    if (geometry && !geometry.includes(":") && geometry !== "standard") {
+        paths.push(`${GEOMETRIES_PATH}/${geometry}.json`);
+    }
+    for (const path of paths) {
+        if (!path) continue;
+        try {
+            const resp = await fetch(path, { cache: "no-cache" });
+            if (!resp.ok) continue;
+            const meta = await resp.json();
+            if (meta.faces && meta.faceOrder !== FACE_ORDER) {
+                console.warn(`${MODULE_ID} | ${path}: calibration in an older format ignored, calibrate again`);
+                delete meta.faces;
+                delete meta.faceOrder;
+            }
+            return meta;
+        } catch {
+            /* missing or invalid: try the next one */
+        }
+    }
+    return {};
+}
+
+/**
+ * The mapping of an uncalibrated geometry: face k shows result k+1.
+ * @param {number} faceCount
+ * @returns {Object<string, number>}  face -> result
+ */
+export function defaultFaceMapping(faceCount) {
+    return Object.fromEntries(Array.from({ length: faceCount }, (_, k) => [k, k + 1]));
+}
+
+/**
+ * A stored calibration, if it still fits the dice (every face gets a
+ * distinct result), else the default one.
+ * @param {Object<string, number>} [stored]
+ * @param {number} faceCount
+ * @returns {Object<string, number>}
+ */
+export function storedFaceMapping(stored, faceCount) {
+    const results = Array.from({ length: faceCount }, (_, k) => stored?.[k]);
+    const valid = results.every((r) => Number.isInteger(r) && r >= 1 && r <= faceCount);
+    if (!valid || new Set(results).size !== faceCount) return defaultFaceMapping(faceCount);
+    return Object.fromEntries(results.map((r, k) => [k, r]));
+}
+
+/**
+ * Move the UVs of a freshly loaded geometry (mutated) so each face shows
+ * the result the calibration assigns to it.  A calibration that does not
+ * fit the geometry is ignored.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Object<string, number>} [mapping]  face -> result
+ * @param {object[]} [faces]  findFaces() of the geometry, when known
+ * @returns {THREE.BufferGeometry}
+ */
+export function applyFaceMapping(geometry, mapping, faces = findFaces(geometry)) {
+    if (!mapping) return geometry;
+    const uv = geometry.attributes.uv;
+    const results = storedFaceMapping(mapping, faces.length);
+    faces.forEach((face, k) => {
+        const target = faces[results[k] - 1];
+        const du = target.uvMin[0] - face.uvMin[0];
+        const dv = target.uvMin[1] - face.uvMin[1];
+        if (!du && !dv) return;
+        for (const v of face.vertices) uv.setXY(v, uv.getX(v) + du, uv.getY(v) + dv);
+    });
+    uv.needsUpdate = true;
+    return geometry;
+}
+
+/**
+ * Write a geometry's calibration, keeping the other sidecar fields.
+ * @param {string} geometry
+ * @param {string} slug
+ * @param {Object<string, number>} mapping
+ */
+export async function saveFaceMapping(geometry, slug, mapping) {
+    const path = geometryMetaPath(geometry, slug);
+    const dir = path.slice(0, path.lastIndexOf("/"));
+    const meta = { ...(await loadGeometryMeta(geometry, slug)), faceOrder: FACE_ORDER, faces: mapping };
+
+    // Module sidecars go one folder deeper, which may not exist yet either
+    const parent = dir.slice(0, dir.lastIndexOf("/"));
+    for (const folder of parent === getUserDicePath() ? [dir] : [parent, dir]) {
+        try {
+            await FP.createDirectory("data", folder);
+        } catch {
+            // Already exists
+        }
+    }
+    const file = new File([JSON.stringify(meta, null, 2)], path.split("/").pop(), {
+        type: "application/json",
+    });
+    await FP.upload("data", dir, file, {});
+    console.log(`${MODULE_ID} | calibration of ${geometry} written to ${path}`);
+}
@@ -13,13 +13,40 @@ import {
 } from "./ExotikDiceConfig.js";
 
 import { exportDice, importDice, syncDiceFromFilesystem } from "./dicePorting.js";
+import { showDiceHealth } from "./diceHealth.js";
+import { applyPresetPhysics, geometryProblem, loadGlb, resolvePhysics } from "./geometry.js";
+import { applyFaceMapping, loadGeometryMeta } from "./geometryCalibration.js";
+
+import { DiceSkinsConfig } from "./DiceSkinsConfig.js";
+import { DiceTray, poolToFormula } from "./DiceTray.js";
+import { ProbabilityPanel } from "./ProbabilityPanel.js";
+import { decorateRerollControls, registerRerollSocket } from "./chatReroll.js";
+import { playFaceSounds, runFaceActions } from "./faceActions.js";
+import {
+    buildAppearance,
+    diceSoNiceAnimates,
+    patchSpecialEffects,
+    registerSFXTriggers,
+    registerSkinPresets,
+    renderSystemFor,
+    withRollerSkin,
+} from "./dsn.js";
+import { decorateTableDraw, injectMatchInputs, patchRollTables } from "./rollTables.js";
+
+import {
+    applyCancellations,
+    cancellationRules,
+    faceSymbols,
+    symbolHtml,
+    tallyResults,
+} from "./symbols.js";
 
 import {
     MODULE_ID,
     FP,
     DICES_PATH,
     DEFAULT_USER_DICES_PATH,
-    GEOMETRIES_PATH,
+    geometryPath,
     getUserDicePath,
 } from "./constants.js";
 
@@ -30,15 +57,79 @@ import {
 /** @type {Map<string, object>}  denomination -> dice definition */
 const _diceDefinitions = new Map();
 
+/**
+ * @type {Map<string, object>}  denomination -> definition registered at
+ * runtime through the API (this client only, never written to disk).
+ */
+const _memoryDefinitions = new Map();
+
 /** Set of dice types we own (e.g. "dh", "dc") — shared with DSN monkey-patch. */
 const _ekdDiceTypes = new Set();
 
 /** denomination ("dh") -> BufferGeometry — custom GLB geometries for each die. */
 const _denomToGeo = new Map();
 
-/** geometry name -> BufferGeometry — cache of loaded GLB geometries. */
+/** GLB path -> BufferGeometry — cache of loaded GLB geometries. */
 const _loadedGeometries = new Map();
 
+/** GLB path -> { faces, problem } of a model rejected for that face count. */
+const _rejectedGeometries = new Map();
+
+/** GLB path -> sidecar JSON (calibration, size, physics) of the geometry. */
+const _geometryMeta = new Map();
+
+/** denomination ("dh") -> size and physics overrides of its custom geometry. */
+const _denomToPhysics = new Map();
+
+/* ---------------------------------------- */
+/*  Face values                              */
+/* ---------------------------------------- */
+
+/**
+ * Numeric value of a face (after reference resolution).
+ * Faces without a value count as 0 ("blank" faces).
+ * @param {object[]} faceMap
+ * @param {number} index  0-based face index
+ * @returns {number}
+ */
+function faceValue(faceMap, index) {
+    const value = resolveFace(faceMap, index)?.value;
+    return Number.isFinite(value) ? value : 0;
+}
+
+/** Does any face of this definition carry a numeric value? */
+function hasFaceValues(def) {
+    return (def?.faceMap || []).some((f) => Number.isFinite(f?.value));
+}
+
+/* ---------------------------------------- */
+/*  Label-aware modifiers                    */
+/* ---------------------------------------- */
+
+/** Modifiers whose target may be a face label, e.g. "x=Cuori", "cs=Quadri". */
+const LABEL_MODIFIER = /^(rr?|xo?|cs|cf)=(.+)$/i;
+
+/**
+ * Core splits modifiers on letters, so "x=Cuori" reaches the term as
+ * ["x=", "Cuori"].  Glue a comparison left without a target back to the
+ * label that follows it.
+ * @param {string[]|undefined} modifiers
+ * @returns {string[]|undefined}
+ */
+function joinLabelModifiers(modifiers) {
+    if (!Array.isArray(modifiers)) return modifiers;
+    const joined = [];
+    for (let i = 0; i < modifiers.length; i++) {
+        const m = modifiers[i];
+        if (/^[a-z]+[<>=]+$/i.test(m) && i + 1 < modifiers.length) {
+            joined.push(m + modifiers[++i]);
+        } else {
+            joined.push(m);
+        }
+    }
+    return joined;
+}
+
 /* ---------------------------------------- */
 /*  Dynamic Dice Class Factory               */
 /* ---------------------------------------- */
@@ -53,29 +144,168 @@ function createDiceClass(def) {
 
     const DynamicDice = class extends foundry.dice.terms.Die {
         constructor(termData = {}) {
-            super({ ...termData, faces: faceCount });
+            super({
+                ...termData,
+                faces: faceCount,
+                modifiers: joinLabelModifiers(termData.modifiers),
+                // New rolls carry the roller's skin; rolled ones keep theirs
+                options: termData.results?.length
+                    ? termData.options
+                    : withRollerSkin(def, termData.options),
+            });
         }
 
         static DENOMINATION = denomination;
 
+        /**
+         * Face numbers targeted by a label modifier ("x=Cuori"), matched
+         * case-insensitively against resolved labels so reference faces
+         * follow their master.  Null for numeric (core) modifiers.
+         * @param {string} modifier
+         * @returns {Set<number>|null}
+         */
+        _labelFaces(modifier) {
+            const match = modifier.match(LABEL_MODIFIER);
+            if (!match || Number.isNumeric(match[2])) return null;
+            const label = match[2].toLowerCase();
+            const faces = new Set();
+            for (let i = 0; i < faceCount; i++) {
+                if (resolveFace(faceMap, i)?.label?.toLowerCase() === label) faces.add(i + 1);
+            }
+            if (!faces.size) {
+                console.warn(`${MODULE_ID} | d${denomination}: no face labelled "${match[2]}"`);
+            }
+            return faces;
+        }
+
+        /** @override */
+        async reroll(modifier, { recursive = false } = {}) {
+            const faces = this._labelFaces(modifier);
+            if (!faces) return super.reroll(modifier, { recursive });
+
+            let checked = 0;
+            const initial = this.results.length;
+            while (checked < this.results.length) {
+                const r = this.results[checked];
+                checked++;
+                if (r.active && faces.has(r.result)) {
+                    r.rerolled = true;
+                    r.active = false;
+                    await this.roll({ reroll: true });
+                }
+                if (!recursive && checked === initial) break;
+                if (checked > 1000) throw new Error("Maximum recursion depth for reroll exceeded");
+            }
+        }
+
+        /** @override */
+        async explode(modifier, { recursive = true } = {}) {
+            const faces = this._labelFaces(modifier);
+            if (!faces) return super.explode(modifier, { recursive });
+
+            let checked = 0;
+            const initial = this.results.length;
+            while (checked < this.results.length) {
+                const r = this.results[checked];
+                checked++;
+                if (r.active && faces.has(r.result)) {
+                    r.exploded = true;
+                    await this.roll({ explode: true });
+                }
+                if (!recursive && checked >= initial) break;
+                if (checked > 1000) throw new Error("Maximum recursion depth for exploding dice roll exceeded");
+            }
+        }
+
+        /** @override */
+        countSuccess(modifier) {
+            const faces = this._labelFaces(modifier);
+            if (!faces) return super.countSuccess(modifier);
+            for (const r of this.results) {
+                if (!r.active) continue;
+                r.success = faces.has(r.result);
+                if (r.success) delete r.failure;
+                r.count = r.success ? 1 : 0;
+            }
+        }
+
+        /** @override */
+        countFailures(modifier) {
+            const faces = this._labelFaces(modifier);
+            if (!faces) return super.countFailures(modifier);
+            for (const r of this.results) {
+                if (!r.active) continue;
+                r.failure = faces.has(r.result);
+                if (r.failure) delete r.success;
+                r.count = r.failure ? 1 : 0;
+            }
+        }
+
+        /**
+         * Sum face values instead of face numbers.  Results flagged by a
+         * counting modifier (cs, cf…) keep their count, as in core.  Dice
+         * without any face value keep the core face-number total.
+         * @override
+         */
+        get total() {
+            if (!this._evaluated) return undefined;
+            if (!hasFaceValues(def)) return super.total;
+            let total = 0;
+            for (const r of this.results) {
+                if (!r.active) continue;
+                if (r.count !== undefined) total += r.count;
+                else total += faceValue(faceMap, r.result - 1);
+            }
+            return total;
+        }
+
         /** @override */
         getResultLabel(result) {
             const faceDef = resolveFace(faceMap, result.result - 1);
-            if (!faceDef?.icon) return String(result.result);
-            const title = faceDef.label || String(result.result);
-            return `<img src="${faceDef.icon}" title="${title}"/>`;
+            if (faceDef?.icon) {
+                const title = faceDef.label || String(result.result);
+                return `<img src="${faceDef.icon}" title="${title}"/>`;
+            }
+            // Multi-symbol or glyph face without its own icon: one image
+            // (or glyph) per symbol
+            const symbols = faceSymbols(def, result.result - 1);
+            if (!symbols.some((sym) => sym.icon || sym.glyph)) return String(result.result);
+            return symbols
+                .map((sym) => symbolHtml(sym, "ekd-result-symbol").repeat(sym.count))
+                .join("");
         }
 
         /** @override */
         getResultCSS(result) {
+            const faceDef = resolveFace(faceMap, result.result - 1);
             return [
                 "ekd-die",
+                !faceDef?.icon && faceSymbols(def, result.result - 1).length
+                    ? "ekd-multi"
+                    : null,
                 `d${faceCount}`,
                 result.rerolled ? "rerolled" : null,
                 result.exploded ? "exploded" : null,
                 result.discarded ? "discarded" : null,
             ];
         }
+
+        /**
+         * Reroll chosen results after the roll was evaluated (chat card
+         * "Reroll selected").  Old results stay as rerolled / inactive and
+         * the new ones are appended, like the core `r` modifier does.
+         * The caller must refresh the parent Roll's total.
+         * @param {number[]} indices  Indexes into `this.results`
+         */
+        async rerollResults(indices) {
+            for (const i of indices) {
+                const r = this.results[i];
+                if (!r?.active) continue;
+                r.rerolled = true;
+                r.active = false;
+                await this.roll();
+            }
+        }
     };
 
     Object.defineProperty(DynamicDice, "name", {
@@ -95,6 +325,24 @@ function getDSNGeometryType(faces) {
     return map[faces] || "d6";
 }
 
+/**
+ * Append the in-memory definitions to a list of stored ones.  Stored dice
+ * win when both use the same denomination.
+ * @param {object[]} definitions
+ * @returns {object[]}
+ */
+function withMemoryDefinitions(definitions) {
+    const taken = new Set(definitions.map((d) => d.denomination));
+    const extra = [..._memoryDefinitions.values()].filter((d) => {
+        if (!taken.has(d.denomination)) return true;
+        console.warn(
+            `${MODULE_ID} | In-memory dice d${d.denomination} "${d.name}" is shadowed by a stored dice`,
+        );
+        return false;
+    });
+    return [...definitions, ...extra];
+}
+
 /**
  * Register (or re-register) dice classes and DSN presets on the fly,
  * without requiring a page reload.  Handles additions, modifications,
@@ -103,6 +351,7 @@ function getDSNGeometryType(faces) {
  * @param {object[]} definitions  Up-to-date array of dice definitions
  */
 function registerDiceOnTheFly(definitions) {
+    definitions = withMemoryDefinitions(definitions);
     const oldDenoms = new Set(_diceDefinitions.keys());
 
     _diceDefinitions.clear();
@@ -117,6 +366,7 @@ function registerDiceOnTheFly(definitions) {
         console.log(
             `${MODULE_ID} | Registered dice: d${def.denomination} - "${def.name}"`,
         );
+        Hooks.callAll("exotikDices.diceRegistered", def, DiceClass);
     }
 
     // Clean up dice that were removed from the filesystem
@@ -146,8 +396,11 @@ function registerDiceOnTheFly(definitions) {
             } catch (err) {
                 console.warn(`${MODULE_ID} | DSN preset error for ${diceType}:`, err);
             }
+            registerSkinPresets(game.dice3d, def, getDSNGeometryType(def.faces));
         }
 
+        registerSFXTriggers(game.dice3d, definitions);
+
         // ── Update geometry swap map ──
         // Rebuild _denomToGeo based on the new definitions.  Load any
         // new GLB geometries that haven't been cached yet.
@@ -177,53 +430,67 @@ async function _updateGeometryMap(definitions, factory) {
     );
 
     // Load any geometry not yet cached.
-    // GLB paths are constructed directly from the geometry name – no
-    // FP.browse needed, so this works for players too (THREE.js
-    // GLTFLoader uses a plain HTTP fetch, no FilePicker permission required).
-    const toLoad = [
-        ...new Set(
-            customDefs
-                .map((d) => d.geometry)
-                .filter((g) => !_loadedGeometries.has(g)),
-        ),
-    ];
-    if (toLoad.length && factory?.loaderGLTF) {
-        const loadPromises = toLoad.map(
-            (geoName) =>
-                new Promise((resolve) => {
-                    const glbPath = `${GEOMETRIES_PATH}/${geoName}.glb`;
-                    factory.loaderGLTF.load(
-                        glbPath,
-                        (gltf) => {
-                            let geometry = null;
-                            gltf.scene.traverse((child) => {
-                                if (child.isMesh && !geometry)
-                                    geometry = child.geometry;
-                            });
-                            if (geometry) {
-                                _loadedGeometries.set(geoName, geometry);
-                                console.log(
-                                    `${MODULE_ID} | Geometry "${geoName}" loaded: ${geometry.attributes.position.count} vertices`,
-                                );
-                            }
-                            resolve();
-                        },
-                        undefined,
-                        (err) => {
-                            console.warn(`${MODULE_ID} | Failed to load geometry "${geoName}":`, err);
-                            resolve();
-                        },
-                    );
-                }),
-        );
+    // GLB paths are constructed directly from the geometry value (module,
+    // world or per-dice file) – no FP.browse needed, so this works for
+    // players too (THREE.js GLTFLoader uses a plain HTTP fetch, no
+    // FilePicker permission required).
+    /** GLB path -> a dice using it (for its calibration sidecar) */
+    const toLoad = new Map();
+    for (const d of customDefs) {
+        const glbPath = geometryPath(d.geometry, d.slug);
+        if (_loadedGeometries.has(glbPath) || toLoad.has(glbPath)) continue;
+        // Rejected once: not downloaded and warned about again
+        if (_rejectedGeometries.get(glbPath)?.faces === d.faces) continue;
+        toLoad.set(glbPath, d);
+    }
+    if (toLoad.size && factory?.loaderGLTF) {
+        const loadPromises = [...toLoad].map(async ([glbPath, def]) => {
+            let geometry;
+            try {
+                geometry = await loadGlb(factory.loaderGLTF, glbPath);
+            } catch (err) {
+                console.warn(`${MODULE_ID} | Failed to load geometry "${glbPath}":`, err);
+                return;
+            }
+            // Models without one face per result would show garbled labels
+            const problem = geometryProblem(geometry, def.faces);
+            if (problem) {
+                console.warn(`${MODULE_ID} | Geometry "${glbPath}" not used: ${problem}`);
+                _rejectedGeometries.set(glbPath, { faces: def.faces, problem });
+                return;
+            }
+            // Face order fixed in the editor's calibration mode
+            const meta = await loadGeometryMeta(def.geometry, def.slug);
+            applyFaceMapping(geometry, meta.faces);
+            _loadedGeometries.set(glbPath, geometry);
+            _geometryMeta.set(glbPath, meta);
+            _rejectedGeometries.delete(glbPath);
+            console.log(
+                `${MODULE_ID} | Geometry "${glbPath}" loaded: ${geometry.attributes.position.count} vertices`,
+            );
+        });
         await Promise.all(loadPromises);
     }
 
-    // Rebuild the denomination -> geometry map
+    // Rebuild the denomination -> geometry and physics maps
     _denomToGeo.clear();
+    _denomToPhysics.clear();
     for (const def of customDefs) {
-        const geo = _loadedGeometries.get(def.geometry);
-        if (geo) _denomToGeo.set(`d${def.denomination}`, geo);
+        const glbPath = geometryPath(def.geometry, def.slug);
+        const geo = _loadedGeometries.get(glbPath);
+        if (!geo) continue;
+        _denomToGeo.set(`d${def.denomination}`, geo);
+        _denomToPhysics.set(
+            `d${def.denomination}`,
+            resolvePhysics(_geometryMeta.get(glbPath), def.physics, def.faces),
+        );
+    }
+    // DSN builds the die and its physics body from the preset: standard
+    // values for dice without a custom geometry
+    for (const def of definitions) {
+        const type = `d${def.denomination}`;
+        const physics = _denomToPhysics.get(type) ?? {};
+        applyPresetPhysics(factory, type, getDSNGeometryType(def.faces), physics);
     }
     console.log(
         `${MODULE_ID} | Geometry map updated: [${[..._denomToGeo.keys()].join(", ") || "none"}]`,
@@ -262,6 +529,126 @@ function registerSettings() {
         type: ExotikDiceConfig,
         restricted: true,
     });
+
+    // Texture / bump map optimization when a dice is saved.
+    game.settings.register(MODULE_ID, "assetMaxSize", {
+        name: "EKD.Settings.AssetMaxSize",
+        hint: "EKD.Settings.AssetMaxSizeHint",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            0: "EKD.Settings.AssetMaxSizeKeep",
+            256: "256 px",
+            512: "512 px",
+            1024: "1024 px",
+            2048: "2048 px",
+        },
+        default: "0",
+    });
+
+    game.settings.register(MODULE_ID, "assetWebP", {
+        name: "EKD.Settings.AssetWebP",
+        hint: "EKD.Settings.AssetWebPHint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+    });
+
+    game.settings.register(MODULE_ID, "assetStripMetadata", {
+        name: "EKD.Settings.AssetStripMetadata",
+        hint: "EKD.Settings.AssetStripMetadataHint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+    });
+
+    game.settings.register(MODULE_ID, "assetKeepOriginals", {
+        name: "EKD.Settings.AssetKeepOriginals",
+        hint: "EKD.Settings.AssetKeepOriginalsHint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: true,
+    });
+
+    // Who may reroll selected dice from a chat card.
+    game.settings.register(MODULE_ID, "chatReroll", {
+        name: "EKD.Settings.ChatReroll",
+        hint: "EKD.Settings.ChatRerollHint",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            disabled: "EKD.Settings.ChatRerollDisabled",
+            enabled: "EKD.Settings.ChatRerollEnabled",
+            gmApproval: "EKD.Settings.ChatRerollGmApproval",
+        },
+        default: "enabled",
+    });
+
+    // Chat summary layout (per user): grouped counts or one icon per die.
+    game.settings.register(MODULE_ID, "summaryLayout", {
+        name: "EKD.Settings.SummaryLayout",
+        hint: "EKD.Settings.SummaryLayoutHint",
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            grouped: "EKD.Settings.SummaryLayoutGrouped",
+            sequence: "EKD.Settings.SummaryLayoutSequence",
+        },
+        default: "grouped",
+    });
+
+    // Combined totals row under mixed pools (e.g. 2dh + 2dc).
+    game.settings.register(MODULE_ID, "summaryTotals", {
+        name: "EKD.Settings.SummaryTotals",
+        hint: "EKD.Settings.SummaryTotalsHint",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+    });
+
+    // Skin picked by this player for each dice: denomination -> skin id.
+    game.settings.register(MODULE_ID, "diceSkins", {
+        scope: "client",
+        config: false,
+        type: Object,
+        default: {},
+    });
+
+    game.settings.registerMenu(MODULE_ID, "diceSkinsMenu", {
+        name: "EKD.Settings.DiceSkins",
+        label: "EKD.Settings.DiceSkinsLabel",
+        hint: "EKD.Settings.DiceSkinsHint",
+        icon: "fas fa-palette",
+        type: DiceSkinsConfig,
+        restricted: false,
+    });
+
+    // Last pools rolled from the dice tray, remembered per user.
+    game.settings.register(MODULE_ID, "recentPools", {
+        scope: "user",
+        config: false,
+        type: Array,
+        default: [],
+    });
+}
+
+function registerKeybindings() {
+    game.keybindings.register(MODULE_ID, "openDiceTray", {
+        name: "EKD.Keybindings.OpenTray",
+        hint: "EKD.Keybindings.OpenTrayHint",
+        editable: [{ key: "KeyD", modifiers: ["Alt"] }],
+        onDown: () => {
+            DiceTray.toggle();
+            return true;
+        },
+    });
 }
 
 /* ---------------------------------------- */
@@ -269,56 +656,145 @@ function registerSettings() {
 /* ---------------------------------------- */
 
 /**
- * Build an HTML summary string for all Exotik dice results in a set of rolls.
- * Groups identical face icons and shows counts.
+ * Icons of the symbols shown by a single result (empty if none).
+ * @param {object} def
+ * @param {number} result  1-based face number
+ * @returns {string}
+ */
+function resultIconsHtml(def, result) {
+    return faceSymbols(def, result - 1)
+        .map((sym) => symbolHtml(sym).repeat(sym.count))
+        .join("");
+}
+
+/**
+ * Collect every result of our dice in a set of rolls, tagged with its
+ * denomination, then tally their symbols net of the cancellation rules
+ * of the dice involved.  Shared by the chat summary and the public API.
  * @param {Roll[]} rolls
- * @returns {string|null}
+ * @returns {{ results: object[], tally: Map<string, object>, net: Map<string, object>, cancelled: object[] }}
  */
-function buildChatSummary(rolls) {
+function tallyRolls(rolls) {
     /** @type {{ denomination: string, result: number, active: boolean }[]} */
-    const allResults = [];
+    const results = [];
 
     for (const roll of rolls) {
         for (const term of roll.terms || []) {
             const denom = term.constructor?.DENOMINATION;
             if (denom && _diceDefinitions.has(denom)) {
                 for (const r of term.results) {
-                    allResults.push({ ...r, denomination: denom });
+                    results.push({ ...r, denomination: denom });
                 }
             }
         }
     }
+
+    const tally = tallyResults(results, _diceDefinitions);
+    const denoms = new Set(results.map((r) => r.denomination));
+    const rules = cancellationRules([...denoms].map((d) => _diceDefinitions.get(d)));
+    return { results, tally, ...applyCancellations(tally, rules) };
+}
+
+/**
+ * HTML items of a tally: one "icon xN" entry per symbol with a count.
+ * @param {Map<string, object>} tally
+ * @returns {string}
+ */
+function tallyItemsHtml(tally) {
+    return [...tally.values()]
+        .filter((sym) => sym.count > 0)
+        .map((sym) => `<span class="ekd-summary-item">${symbolHtml(sym)} x${sym.count}</span>`)
+        .join("");
+}
+
+/**
+ * HTML items of results in roll order, one entry per active die.
+ * @param {object[]} results
+ * @returns {string}
+ */
+function sequenceItemsHtml(results) {
+    return results
+        .filter((r) => r.active)
+        .map((r) => resultIconsHtml(_diceDefinitions.get(r.denomination), r.result))
+        .filter(Boolean)
+        .map((icons) => `<span class="ekd-summary-item ekd-summary-die">${icons}</span>`)
+        .join("");
+}
+
+/**
+ * Build an HTML summary string for all Exotik dice results in a set of rolls.
+ * Results are grouped by dice definition, with the dice name as header when
+ * the pool mixes several dice; each group shows symbol counts, or one entry
+ * per die in roll order (`summaryLayout` setting).  Counts are net of the
+ * cancellation rules of the dice involved: single-dice pools apply them to
+ * their only group, mixed pools in a combined totals row (`summaryTotals`,
+ * forced on when anything was cancelled).  Cancelled pairs are listed in a
+ * struck-through detail row.  Exploded,
+ * rerolled and discarded dice get their own detail rows instead of
+ * silently disappearing.
+ * @param {Roll[]} rolls
+ * @returns {string|null}
+ */
+function buildChatSummary(rolls) {
+    const { results: allResults, net, cancelled } = tallyRolls(rolls);
     if (!allResults.length) return null;
 
-    // Group by icon path (or label if no icon)
-    const groups = new Map();
-    for (const r of allResults) {
-        if (!r.active) continue;
-        const def = _diceDefinitions.get(r.denomination);
-        const faceDef = resolveFace(def?.faceMap || [], r.result - 1);
-        if (!faceDef) continue;
-        // Only include faces that have an icon or label defined
-        if (!faceDef.icon && !faceDef.label) continue;
-
-        const key = faceDef.icon || faceDef.label;
-        if (!groups.has(key)) {
-            groups.set(key, {
-                label: faceDef.label || "",
-                icon: faceDef.icon,
-                count: 0,
-            });
+    const sequence = game.settings.get(MODULE_ID, "summaryLayout") === "sequence";
+    const denoms = [...new Set(allResults.map((r) => r.denomination))];
+    const mixed = denoms.length > 1;
+
+    const parts = [];
+    for (const denom of denoms) {
+        const results = allResults.filter((r) => r.denomination === denom);
+        let items;
+        if (sequence) items = sequenceItemsHtml(results);
+        else items = tallyItemsHtml(mixed ? tallyResults(results, _diceDefinitions) : net);
+        if (!items) continue;
+        if (!mixed) {
+            parts.push(items);
+            continue;
+        }
+        parts.push(
+            `<div class="ekd-summary-group" data-denomination="${denom}">` +
+            `<span class="ekd-summary-group-name">${_diceDefinitions.get(denom).name}</span>` +
+            `${items}</div>`,
+        );
+    }
+    // The net result is always shown next to the cancelled pairs
+    if (mixed && (cancelled.length || game.settings.get(MODULE_ID, "summaryTotals"))) {
+        const items = tallyItemsHtml(net);
+        if (items) {
+            const title = game.i18n.localize("EKD.Summary.Totals");
+            parts.push(
+                `<div class="ekd-summary-group ekd-summary-totals">` +
+                `<span class="ekd-summary-group-name">${title}</span>${items}</div>`,
+            );
         }
-        groups.get(key).count++;
+    }
+    if (cancelled.length) {
+        const pairs = cancelled.map(
+            (c) =>
+                `<span class="ekd-cancelled-pair">${symbolHtml(c.symbol)}${symbolHtml(c.cancels)} x${c.count}</span>`,
+        );
+        parts.push(`<s class="ekd-summary-cancelled">${pairs.join("")}</s>`);
     }
 
-    const parts = [];
-    for (const [, g] of groups) {
-        if (g.count <= 0) continue;
-        const iconHtml = g.icon
-            ? `<img src="${g.icon}" class="ekd-summary-icon" title="${g.label}"/>`
-            : `<span>${g.label}</span>`;
+    // Dice changed by modifiers: exploded (still active) and dropped ones
+    const details = [
+        ["exploded", "fa-burst", (r) => r.active && r.exploded],
+        ["rerolled", "fa-rotate", (r) => !r.active && r.rerolled],
+        ["discarded", "fa-ban", (r) => !r.active && !r.rerolled],
+    ];
+    for (const [kind, icon, test] of details) {
+        const icons = allResults
+            .filter(test)
+            .map((r) => resultIconsHtml(_diceDefinitions.get(r.denomination), r.result))
+            .filter(Boolean);
+        if (!icons.length) continue;
+        const title = game.i18n.localize(`EKD.Summary.${kind.capitalize()}`);
         parts.push(
-            `<span class="ekd-summary-item">${iconHtml} x${g.count}</span>`,
+            `<span class="ekd-summary-detail ekd-summary-${kind}" title="${title}">` +
+            `<i class="fas ${icon}"></i>${icons.join("")}</span>`,
         );
     }
 
@@ -327,12 +803,390 @@ function buildChatSummary(rolls) {
         : null;
 }
 
+/**
+ * Numeric total of the rolls that carry a meaningful number: rolls with
+ * standard dice, or with exotic dice whose faces define values.
+ * Pure symbol rolls return null so only the icon summary is shown.
+ * @param {Roll[]} rolls
+ * @returns {number|null}
+ */
+function getNumericTotal(rolls) {
+    let total = null;
+    for (const roll of rolls) {
+        const numeric = roll.dice.some((term) => {
+            const denom = term.constructor?.DENOMINATION;
+            if (!_diceDefinitions.has(denom)) return true;
+            return (
+                hasFaceValues(_diceDefinitions.get(denom)) ||
+                term.results.some((r) => r.count !== undefined)
+            );
+        });
+        if (numeric && Number.isFinite(roll.total)) total = (total ?? 0) + roll.total;
+    }
+    return total;
+}
+
+/* ---------------------------------------- */
+/*  Inline rolls                             */
+/* ---------------------------------------- */
+
+/**
+ * Replace the bare number of inline rolls ([[2dh]]) containing exotic dice
+ * with their grouped symbol icons.  The tooltip lists each die's face label.
+ * Anchors already decorated, or without exotic dice, are left untouched.
+ * @param {HTMLElement|DocumentFragment} root
+ */
+function decorateInlineRolls(root) {
+    for (const a of root.querySelectorAll("a.inline-roll[data-roll]:not(.ekd-inline)")) {
+        let roll;
+        try {
+            roll = Roll.fromData(JSON.parse(decodeURIComponent(a.dataset.roll)));
+        } catch {
+            continue;
+        }
+        const { results, net } = tallyRolls([roll]);
+        if (!results.length) continue;
+
+        const icons = [...net.values()]
+            .filter((sym) => sym.count > 0)
+            .map((sym) => `${symbolHtml(sym, "ekd-inline-icon")}${sym.count > 1 ? `x${sym.count}` : ""}`);
+        const total = getNumericTotal([roll]);
+        a.innerHTML =
+            `<i class="fas fa-dice-d20"></i>` +
+            `<span class="ekd-inline-icons">${icons.join(" ")}</span>` +
+            (total == null ? "" : ` ${total}`);
+
+        // The tooltip is rendered as HTML: escape labels and formula
+        const escape = foundry.utils.escapeHTML;
+        const labels = results
+            .filter((r) => r.active)
+            .map((r) => {
+                const def = _diceDefinitions.get(r.denomination);
+                const face = resolveFace(def.faceMap, r.result - 1);
+                return `d${r.denomination}: ${escape(String(face?.label || r.result))}`;
+            });
+        a.dataset.tooltip = `${escape(roll.formula)}<br>${labels.join("<br>")}`;
+        a.classList.add("ekd-inline");
+    }
+}
+
+/**
+ * Wrap TextEditor.enrichHTML so inline rolls in journals, item
+ * descriptions and any other enriched text get the icon treatment.
+ */
+function wrapEnrichHTML() {
+    const TextEditorClass = foundry.applications.ux.TextEditor;
+    const original = TextEditorClass.enrichHTML;
+    TextEditorClass.enrichHTML = async function (content, options = {}) {
+        const html = await original.call(this, content, options);
+        if (typeof html !== "string" || !html.includes("inline-roll")) return html;
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        decorateInlineRolls(template.content);
+        return template.innerHTML;
+    };
+}
+
+/* ---------------------------------------- */
+/*  Public API                               */
+/* ---------------------------------------- */
+
+/**
+ * Plain `{ key: count }` object from a symbol tally.
+ * @param {Map<string, object>} tally
+ * @returns {Object<string, number>}
+ */
+function tallyToObject(tally) {
+    return Object.fromEntries([...tally].map(([key, sym]) => [key, sym.count]));
+}
+
+/**
+ * Check and complete a definition passed to `api.registerDefinition`.
+ * @param {object} def
+ * @returns {object}  A normalized copy
+ */
+function normalizeDefinition(def) {
+    const denom = def?.denomination;
+    if (!/^[a-z]$/i.test(denom || "")) {
+        throw new Error(`${MODULE_ID} | registerDefinition: denomination must be a single letter`);
+    }
+    const faceMap = foundry.utils.deepClone(def.faceMap || []);
+    const faces = def.faces ?? faceMap.length;
+    if (!faces || faceMap.length > faces) {
+        throw new Error(`${MODULE_ID} | registerDefinition: d${denom} needs "faces" or a "faceMap"`);
+    }
+    while (faceMap.length < faces) faceMap.push({});
+    return {
+        name: `d${denom}`,
+        geometry: "standard",
+        symbols: [],
+        cancellations: [],
+        ...foundry.utils.deepClone(def),
+        id: def.id || `memory-${denom}`,
+        faces,
+        faceMap,
+    };
+}
+
+/**
+ * Whether a roll contains at least one of our dice.
+ * @param {Roll} roll
+ * @returns {boolean}
+ */
+function hasExotikDice(roll) {
+    return roll.dice.some((term) => _diceDefinitions.has(term.constructor?.DENOMINATION));
+}
+
+/**
+ * Resolved data of an evaluated roll, as passed to the
+ * `exotikDices.rollResolved` hook and returned by `api.rollPool`.
+ * @param {Roll} roll
+ * @returns {{ roll: Roll, results: object[], labels: string[], tally: Object<string, number>,
+ *   net: Object<string, number>, cancelled: object[], symbols: Object<string, object> }}
+ */
+function resolvedRollData(roll) {
+    const { results, tally, net, cancelled } = tallyRolls([roll]);
+    const detailed = results.map((r) => {
+        const def = _diceDefinitions.get(r.denomination);
+        const face = resolveFace(def.faceMap, r.result - 1);
+        return {
+            ...r,
+            label: face?.label || "",
+            icon: face?.icon || "",
+            symbols: faceSymbols(def, r.result - 1),
+        };
+    });
+    return {
+        roll,
+        results: detailed,
+        labels: detailed.filter((r) => r.active).map((r) => r.label),
+        tally: tallyToObject(tally),
+        net: tallyToObject(net),
+        cancelled: cancelled.map((c) => ({
+            symbol: c.symbol.key,
+            cancels: c.cancels.key,
+            count: c.count,
+        })),
+        symbols: Object.fromEntries(
+            [...tally].map(([key, { label, icon }]) => [key, { label, icon }]),
+        ),
+    };
+}
+
+/** Rolls evaluated as part of another roll (parenthetical or pool terms). */
+const _innerRolls = new WeakSet();
+
+/**
+ * Whether an evaluation is a roll of its own: not an inner roll of
+ * another roll, nor a minimized / maximized probe (e.g. RollTable#roll
+ * checking the formula's range).
+ * @param {Roll} roll
+ * @param {object} options  Evaluation options
+ * @returns {boolean}
+ */
+function isUserRoll(roll, options) {
+    return !_innerRolls.has(roll) && !options?.minimize && !options?.maximize;
+}
+
+/**
+ * Call one of our roll hooks.  Errors, from a listener or from building
+ * the arguments, are logged instead of failing the roll itself.
+ * @param {string} hook
+ * @param {() => any[]} args  Builds the hook arguments
+ */
+function callRollHook(hook, args) {
+    try {
+        Hooks.callAll(hook, ...args());
+    } catch (err) {
+        console.error(`${MODULE_ID} | ${hook} hook failed:`, err);
+    }
+}
+
+/**
+ * Wrap Roll#evaluate and Roll#evaluateSync to fire our hooks around rolls
+ * with exotic dice:
+ *  - `exotikDices.preRoll` (roll, options) before evaluation
+ *  - `exotikDices.rollResolved` (data) once evaluated, see resolvedRollData()
+ * Both fire once per top-level roll, on the client that rolls it.  Inner
+ * rolls of parenthetical and pool terms are marked so they don't fire
+ * again for their parent.
+ */
+function wrapRollEvaluate() {
+    const { Roll: RollClass, terms } = foundry.dice;
+
+    for (const method of ["_evaluateAsync", "_evaluateSync"]) {
+        const original = terms.ParentheticalTerm.prototype[method];
+        if (typeof original !== "function") continue;
+        terms.ParentheticalTerm.prototype[method] = function (roll, ...rest) {
+            if (roll) _innerRolls.add(roll);
+            return original.call(this, roll, ...rest);
+        };
+    }
+    const poolEvaluate = terms.PoolTerm.prototype._evaluate;
+    terms.PoolTerm.prototype._evaluate = function (...args) {
+        for (const roll of this.rolls || []) _innerRolls.add(roll);
+        return poolEvaluate.apply(this, args);
+    };
+
+    const original = RollClass.prototype.evaluate;
+    RollClass.prototype.evaluate = async function (options = {}) {
+        const own = isUserRoll(this, options);
+        if (own && hasExotikDice(this)) callRollHook("exotikDices.preRoll", () => [this, options]);
+        const result = await original.call(this, options);
+        if (own && hasExotikDice(this)) {
+            callRollHook("exotikDices.rollResolved", () => [resolvedRollData(this)]);
+        }
+        return result;
+    };
+
+    const originalSync = RollClass.prototype.evaluateSync;
+    RollClass.prototype.evaluateSync = function (options = {}) {
+        const own = isUserRoll(this, options);
+        if (own && hasExotikDice(this)) callRollHook("exotikDices.preRoll", () => [this, options]);
+        const result = originalSync.call(this, options);
+        if (own && hasExotikDice(this)) {
+            callRollHook("exotikDices.rollResolved", () => [resolvedRollData(this)]);
+        }
+        return result;
+    };
+}
+
+/**
+ * Public API, exposed as `game.modules.get("exotik-dices").api`.
+ * Lets macros and systems use exotic dice without reading chat HTML.
+ */
+const api = {
+    /**
+     * All registered dice definitions (stored and in-memory).
+     * @returns {object[]}
+     */
+    getDefinitions() {
+        return [..._diceDefinitions.values()].map((d) => foundry.utils.deepClone(d));
+    },
+
+    /**
+     * A single definition by denomination (e.g. "h" for dh).
+     * @param {string} denomination
+     * @returns {object|null}
+     */
+    getDefinition(denomination) {
+        const def = _diceDefinitions.get(denomination);
+        return def ? foundry.utils.deepClone(def) : null;
+    },
+
+    /**
+     * Resolved face of a dice, following face references.
+     * @param {string|object} dice  Denomination or definition
+     * @param {number} result       1-based face number, as in roll results
+     * @returns {object|null}       The face, plus its resolved `symbols` list
+     */
+    resolveFace(dice, result) {
+        const def = typeof dice === "string" ? _diceDefinitions.get(dice) : dice;
+        const face = resolveFace(def?.faceMap || [], result - 1);
+        if (!face) return null;
+        return { ...face, symbols: faceSymbols(def, result - 1) };
+    },
+
+    /**
+     * Roll a pool and return its symbol tallies.
+     * @param {string|Object<string, number>} spec  Formula ("2dh + 1dc")
+     *   or pool ({ h: 2, c: 1 })
+     * @param {object}  [options]
+     * @param {boolean} [options.chat=false]  Also post the roll to chat
+     * @param {string}  [options.rollMode]    Roll mode for the chat message
+     * @returns {Promise<object>}  Same data as the `exotikDices.rollResolved` hook
+     */
+    async rollPool(spec, { chat = false, rollMode } = {}) {
+        const formula = typeof spec === "string" ? spec : poolToFormula(spec);
+        if (!formula) throw new Error(`${MODULE_ID} | rollPool: empty pool`);
+
+        const roll = await new Roll(formula).evaluate();
+        if (chat) {
+            await roll.toMessage({ speaker: ChatMessage.getSpeaker() }, { rollMode });
+        }
+        return resolvedRollData(roll);
+    },
+
+    /**
+     * Resolved data of an already evaluated roll (labels, tallies...).
+     * @param {Roll} roll
+     * @returns {object|null}  Same data as the `exotikDices.rollResolved`
+     *   hook, or null when the roll has no exotic dice
+     */
+    resolveRoll(roll) {
+        return hasExotikDice(roll) ? resolvedRollData(roll) : null;
+    },
+
+    /**
+     * Re-read dice.json files from disk and register any change (GM only).
+     * @returns {Promise<object[]>}  The up-to-date definitions
+     */
+    async sync() {
+        if (!game.user.isGM) {
+            throw new Error(`${MODULE_ID} | sync: only a GM can read the dice folders`);
+        }
+        const { changed, definitions } = await syncDiceFromFilesystem();
+        if (changed) registerDiceOnTheFly(definitions);
+        return api.getDefinitions();
+    },
+
+    /**
+     * Register a dice from code, on this client only.  Nothing is written
+     * to disk or to the world settings; call it on every client that needs
+     * the dice (e.g. from your own "ready" hook).  A stored dice with the
+     * same denomination takes precedence.
+     * @param {object} def  Same shape as dice.json (`denomination`,
+     *   `faceMap`, optional `name`, `faces`, `symbols`, `cancellations`)
+     * @returns {object}    The normalized definition
+     */
+    registerDefinition(def) {
+        const normalized = normalizeDefinition(def);
+        _memoryDefinitions.set(normalized.denomination, normalized);
+        registerDiceOnTheFly(game.settings.get(MODULE_ID, "diceDefinitions") || []);
+        return foundry.utils.deepClone(normalized);
+    },
+
+    /**
+     * Remove a dice added with registerDefinition.
+     * @param {string} denomination
+     * @returns {boolean}  Whether a dice was removed
+     */
+    unregisterDefinition(denomination) {
+        if (!_memoryDefinitions.delete(denomination)) return false;
+        registerDiceOnTheFly(game.settings.get(MODULE_ID, "diceDefinitions") || []);
+        return true;
+    },
+
+    /**
+     * Load a custom geometry again, e.g. after its calibration changed.
+     * @param {string} geometry  Geometry value of a dice
+     * @param {string} [slug]    Dice slug, for per-dice geometries
+     * @param {object}  [options]
+     * @param {boolean} [options.broadcast=true]  Also on every other client
+     */
+    async reloadGeometry(geometry, slug, { broadcast = true } = {}) {
+        _loadedGeometries.delete(geometryPath(geometry, slug));
+        _geometryMeta.delete(geometryPath(geometry, slug));
+        _rejectedGeometries.delete(geometryPath(geometry, slug));
+        if (broadcast) {
+            game.socket.emit(`module.${MODULE_ID}`, { action: "reloadGeometry", geometry, slug });
+        }
+        const factory = game.dice3d?.DiceFactory;
+        if (factory) await _updateGeometryMap([..._diceDefinitions.values()], factory);
+    },
+};
+
 /* ---------------------------------------- */
 /*  Hooks                                    */
 /* ---------------------------------------- */
 
 Hooks.once("init", () => {
     registerSettings();
+    registerKeybindings();
+    game.modules.get(MODULE_ID).api = api;
+    wrapRollEvaluate();
+    wrapEnrichHTML();
+    patchRollTables();
 
     // Load dice definitions from DB cache (synchronous) and register
     // Die subclasses.  The cache is kept in sync with the filesystem
@@ -350,10 +1204,20 @@ Hooks.once("init", () => {
         console.log(
             `${MODULE_ID} | Registered dice: d${def.denomination} - "${def.name}" (${def.faces} faces, class=${DiceClass.name})`,
         );
+        Hooks.callAll("exotikDices.diceRegistered", def, DiceClass);
     }
 });
 
 Hooks.once("ready", () => {
+    registerRerollSocket();
+    game.socket.on(`module.${MODULE_ID}`, (data) => {
+        if (data?.action === "reloadGeometry") {
+            api.reloadGeometry(data.geometry, data.slug, { broadcast: false }).catch((err) =>
+                console.warn(`${MODULE_ID} | Could not reload geometry ${data.geometry}:`, err),
+            );
+        }
+    });
+
     // Warn if Dice So Nice is missing
     if (!game.modules.get("dice-so-nice")?.active) {
         ui.notifications.warn(game.i18n.localize("EKD.DSNRequired"));
@@ -374,11 +1238,33 @@ Hooks.once("ready", () => {
     }
 });
 
+/* ---------------------------------------- */
+/*  Dice tray                                */
+/* ---------------------------------------- */
+
+// Scene-control button (token controls) opening the dice tray.
+Hooks.on("getSceneControlButtons", (controls) => {
+    const tokens = controls.tokens;
+    if (!tokens?.tools) return;
+    tokens.tools.ekdDiceTray = {
+        name: "ekdDiceTray",
+        title: "EKD.Tray.Title",
+        icon: "fas fa-dice",
+        order: Object.keys(tokens.tools).length,
+        button: true,
+        visible: true,
+        onChange: () => DiceTray.toggle(),
+    };
+});
+
 /* ---------------------------------------- */
 /*  Chat Message Rendering                   */
 /* ---------------------------------------- */
 
 Hooks.on("renderChatMessageHTML", (message, html) => {
+    decorateInlineRolls(html);
+    decorateTableDraw(message, html);
+    decorateRerollControls(message, html);
     if (!message.rolls?.length) return;
 
     const summaryHtml = buildChatSummary(message.rolls);
@@ -386,11 +1272,35 @@ Hooks.on("renderChatMessageHTML", (message, html) => {
 
     const totalEl = html.querySelector(".dice-total");
     if (totalEl) {
-        totalEl.innerHTML = summaryHtml;
+        const numericTotal = getNumericTotal(message.rolls);
+        totalEl.innerHTML = numericTotal == null
+            ? summaryHtml
+            : `${summaryHtml}<span class="ekd-summary-total">${numericTotal}</span>`;
         totalEl.classList.add("ekd-total");
     }
 });
 
+// Face actions (onResult, on the client that created the message) and
+// sounds.  Without Dice So Nice there is no animation to wait for.
+Hooks.on("createChatMessage", (message) => {
+    if (diceSoNiceAnimates(message)) return;
+    runFaceActions(message);
+    playFaceSounds(message);
+});
+
+// Face actions and sounds, once the 3D dice have landed.  Both run once
+// per message, whichever hook comes first.
+Hooks.on("diceSoNiceRollComplete", (messageId) => {
+    const message = game.messages.get(messageId);
+    runFaceActions(message);
+    playFaceSounds(message);
+});
+
+// Label / tally "match" inputs on roll tables using exotic dice.
+Hooks.on("renderRollTableSheet", (app, html) => {
+    injectMatchInputs(app, html);
+});
+
 /* ---------------------------------------- */
 /*  Settings panel - dice list injection     */
 /* ---------------------------------------- */
@@ -438,11 +1348,13 @@ Hooks.on("renderSettingsConfig", (app, ...renderArgs) => {
     // Already injected? (idempotency for re-renders)
     if (section.querySelector(".ekd-settings-dice")) return;
 
-    // Find the submenu form-group to replace
+    // Find the "Configure" submenu form-group to replace.  It is GM-only;
+    // players keep the regular rows (chat layout, skins…).
+    if (!game.user.isGM) return;
     const submenu =
-        section.querySelector(".submenu") ||
+        section.querySelector(`[data-key="${MODULE_ID}.diceConfig"]`)?.closest(".form-group") ||
         section.querySelector(`[data-setting-id="${MODULE_ID}.diceConfig"]`) ||
-        section.querySelector(".form-group");
+        section.querySelector(".submenu");
     if (!submenu) return;
 
     // Build injected HTML
@@ -458,6 +1370,8 @@ Hooks.on("renderSettingsConfig", (app, ...renderArgs) => {
         faces: game.i18n.localize("EKD.Config.FacesLabel"),
         noDice: game.i18n.localize("EKD.Config.NoDice"),
         readme: game.i18n.localize("EKD.Config.README"),
+        odds: game.i18n.localize("EKD.Probability.Open"),
+        validate: game.i18n.localize("EKD.Health.Validate"),
     };
 
     // Language display + Instructions button
@@ -519,6 +1433,8 @@ Hooks.on("renderSettingsConfig", (app, ...renderArgs) => {
                     <span class="ekd-settings-denom flex0">d${d.denomination}</span>
                     <span class="ekd-settings-faces flex0">${d.faces} ${t.faces}</span>
                     <span class="ekd-settings-controls flex0">
+                        <a class="ekd-settings-odds" title="${t.odds}"><i class="fas fa-chart-column"></i></a>
+                        <a class="ekd-settings-validate" title="${t.validate}"><i class="fas fa-stethoscope"></i></a>
                         <a class="ekd-settings-export" title="${t.exp}"><i class="fas fa-file-export"></i></a>
                         ${editBtn}
                     </span>
@@ -548,6 +1464,20 @@ Hooks.on("renderSettingsConfig", (app, ...renderArgs) => {
             ExotikDiceConfig.editDice(dice, app);
         }
 
+        if (target.closest(".ekd-settings-odds")) {
+            event.preventDefault();
+            const id = target.closest("[data-id]")?.dataset.id;
+            const dice = definitions.find((d) => d.id === id);
+            if (dice) ProbabilityPanel.open({ pool: { [dice.denomination]: 1 } });
+        }
+
+        if (target.closest(".ekd-settings-validate")) {
+            event.preventDefault();
+            const id = target.closest("[data-id]")?.dataset.id;
+            const dice = definitions.find((d) => d.id === id);
+            if (dice) showDiceHealth(dice, app);
+        }
+
         if (target.closest(".ekd-settings-export")) {
             event.preventDefault();
             const id = target.closest("[data-id]")?.dataset.id;
@@ -584,6 +1514,8 @@ Hooks.on("renderSettingsConfig", (app, ...renderArgs) => {
             event.preventDefault();
             importDice(() => {
                 // After successful import, sync filesystem and re-render
+                // (the dice may have brought a geometry along)
+                ExotikDiceConfig.clearGeometryCache();
                 syncDiceFromFilesystem().then(({ changed, definitions }) => {
                     if (changed) {
                         registerDiceOnTheFly(definitions);
@@ -674,7 +1606,10 @@ Hooks.once("diceSoNiceReady", async (dice3d) => {
     // Register "Exotik Dices" as a selectable system in DSN dropdown.
     dice3d.addSystem({ id: "ekd", name: "Exotik Dices" }, false);
 
-    const definitions = game.settings.get(MODULE_ID, "diceDefinitions") || [];
+    // Stored dice plus those registered through the API before DSN was ready
+    const definitions = withMemoryDefinitions(
+        game.settings.get(MODULE_ID, "diceDefinitions") || [],
+    );
     const factory = dice3d.DiceFactory;
 
     // ── Register DSN presets via official API ──
@@ -702,8 +1637,13 @@ Hooks.once("diceSoNiceReady", async (dice3d) => {
                 err,
             );
         }
+        registerSkinPresets(dice3d, def, getDSNGeometryType(def.faces));
     }
 
+    // ── Per-face special effects ──
+    registerSFXTriggers(dice3d, definitions);
+    patchSpecialEffects(dice3d);
+
     // Ensure all label textures are fully loaded as Image objects.
     // addDicePreset → register → loadTextures() is fire-and-forget;
     // we must await preloadPresets so that DicePreset.labels[] contains
@@ -728,15 +1668,20 @@ Hooks.once("diceSoNiceReady", async (dice3d) => {
     {
         const origCreate = factory.create.bind(factory);
         factory.create = async function (t, i, r) {
-            // Force our dice to resolve from the "ekd" system
+            // Force our dice to resolve from the "ekd" system (or the
+            // roller's skin) and apply their own appearance over the
+            // roller's colorset
             if (_ekdDiceTypes.has(i) && r) {
-                r = Object.assign({}, r, { system: "ekd" });
+                // The skin carried by the roll, and the dice's own colors /
+                // material / font if any
+                const def = _diceDefinitions.get(i.slice(1));
+                r = buildAppearance(def, { ...r, system: renderSystemFor(def, r.system) });
 
                 // Defensive: make sure our preset's textures are loaded.
                 // addDicePreset → register → loadTextures() is fire-and-
                 // forget; if rendering happens before that Promise settles,
                 // labels are still plain URL strings → DSN draws text.
-                const ekdSys = this.systems?.get("ekd");
+                const ekdSys = this.systems?.get(r.system);
                 const preset = ekdSys?.dice?.get(i);
                 if (preset && !preset.modelLoaded) {
                     console.debug(
@@ -751,8 +1696,10 @@ Hooks.once("diceSoNiceReady", async (dice3d) => {
             // Geometry swap for custom GLB models
             const customGeo = _denomToGeo.get(i);
             if (customGeo && mesh) {
+                // Sized like the body, which the preset scales
+                const physics = _denomToPhysics.get(i) ?? {};
                 const baseScale = t.type === "board" ? this.baseScale : 60;
-                const s = baseScale / 100;
+                const s = (baseScale / 100) * (physics.scale ?? 1);
                 const geo = customGeo.clone();
                 geo.scale(s, s, s);
                 if (mesh.isMesh) {
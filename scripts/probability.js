@@ -0,0 +1,129 @@
+/**
+ * Exotik Dices – Exact probabilities for dice pools.
+ *
+ * Every face is turned into a vector of symbol counts (via faceSymbols,
+ * so references, multi-symbol faces and plain label/icon faces are all
+ * handled like in the chat summary).  The pool's joint distribution is
+ * built by convolving one die at a time; cancellation rules are then
+ * applied to each outcome exactly as `applyCancellations` does in chat.
+ */
+
+import { applyCancellations, cancellationRules, faceSymbols } from "./symbols.js";
+
+/** Guard against pools whose joint distribution would not fit in memory. */
+export const MAX_STATES = 200000;
+
+/** Thrown by poolDistribution when a pool exceeds MAX_STATES outcomes. */
+export class PoolTooLargeError extends Error {
+    constructor() {
+        super(`Pool too large: more than ${MAX_STATES} outcomes`);
+        this.name = "PoolTooLargeError";
+    }
+}
+
+/**
+ * Compute the joint distribution of symbol counts for a pool.
+ *
+ * @param {Object<string, number>} pool       denomination -> number of dice
+ * @param {Map<string, object>}    definitions denomination -> dice definition
+ * @returns {{ symbols: object[], states: { counts: number[], p: number }[], rules: object[] }}
+ *   `symbols[j]` describes the j-th entry of every `counts` vector.
+ * @throws {PoolTooLargeError} when the pool has more than MAX_STATES
+ *   distinct outcomes
+ */
+export function poolDistribution(pool, definitions) {
+    const defs = Object.entries(pool || {})
+        .filter(([denom, n]) => n > 0 && definitions.has(denom))
+        .map(([denom, n]) => ({ def: definitions.get(denom), n }));
+
+    // Symbol catalogue, in first-seen order
+    const symbols = new Map();
+    const faceTables = new Map();
+    for (const { def } of defs) {
+        const faces = (def.faceMap || []).map((_, i) => faceSymbols(def, i));
+        for (const sym of faces.flat()) {
+            if (!symbols.has(sym.key)) {
+                symbols.set(sym.key, { key: sym.key, label: sym.label, icon: sym.icon });
+            }
+        }
+        faceTables.set(def, faces);
+    }
+    const keys = [...symbols.keys()];
+
+    let states = new Map([[keys.map(() => 0).join(","), { counts: keys.map(() => 0), p: 1 }]]);
+    for (const { def, n } of defs) {
+        // Faces as count vectors aligned with `keys`
+        const vectors = faceTables.get(def).map((faceSyms) => {
+            const vec = keys.map(() => 0);
+            for (const sym of faceSyms) vec[keys.indexOf(sym.key)] += sym.count;
+            return vec;
+        });
+        if (!vectors.length) continue;
+        const pFace = 1 / vectors.length;
+
+        for (let die = 0; die < n; die++) {
+            const next = new Map();
+            for (const { counts, p } of states.values()) {
+                for (const vec of vectors) {
+                    const c = counts.map((v, j) => v + vec[j]);
+                    const key = c.join(",");
+                    const entry = next.get(key);
+                    if (entry) entry.p += p * pFace;
+                    else next.set(key, { counts: c, p: p * pFace });
+                    // Checked per outcome so the map never outgrows the cap
+                    if (next.size > MAX_STATES) {
+                        throw new PoolTooLargeError();
+                    }
+                }
+            }
+            states = next;
+        }
+    }
+
+    return {
+        symbols: [...symbols.values()],
+        states: [...states.values()],
+        rules: cancellationRules(defs.map(({ def }) => def)),
+    };
+}
+
+/**
+ * Distribution of each symbol's count ("exactly n" probabilities).
+ *
+ * @param {{ symbols: object[], states: object[], rules: object[] }} dist
+ * @param {boolean} [cancel=true]  Apply the pool's cancellation rules first
+ * @returns {Map<string, number[]>}  symbol key -> probability of exactly n
+ */
+export function symbolMarginals(dist, cancel = true) {
+    const marginals = new Map(dist.symbols.map((s) => [s.key, []]));
+    const rules = cancel ? dist.rules : [];
+
+    for (const { counts, p } of dist.states) {
+        let tally = new Map(
+            dist.symbols.map((s, j) => [s.key, { key: s.key, count: counts[j] }]),
+        );
+        if (rules.length) tally = applyCancellations(tally, rules).net;
+        for (const [key, { count }] of tally) {
+            const exact = marginals.get(key);
+            while (exact.length <= count) exact.push(0);
+            exact[count] += p;
+        }
+    }
+    return marginals;
+}
+
+/**
+ * Turn "exactly n" probabilities into table rows.
+ * @param {number[]} exact
+ * @returns {{ n: number, exactly: number, atLeast: number, atMost: number }[]}
+ */
+export function cumulativeTable(exact) {
+    const rows = [];
+    let atMost = 0;
+    const total = exact.reduce((a, b) => a + b, 0);
+    for (let n = 0; n < exact.length; n++) {
+        rows.push({ n, exactly: exact[n], atLeast: total - atMost, atMost: atMost + exact[n] });
+        atMost += exact[n];
+    }
+    return rows;
+}
@@ -0,0 +1,303 @@
+/**
+ * Exotik Dices – Face texture rasterizing.
+ *
+ * Glyph faces: a face may be drawn from a Unicode glyph or a short text
+ * instead of image files:
+ *
+ *   "glyph": "♠", "glyphFont": "Noto Sans Symbols", "glyphColor": "#ffffff"
+ *
+ * On save the editor turns it into a PNG label texture (the glyph in its
+ * color on a transparent background) and a matching bump map (the glyph
+ * engraved, black on white), written next to the dice's other assets.
+ * Chat shows the glyph as styled text, so no icon is needed either.
+ *
+ * Icon faces: the editor's "Generate from icon" turns a face's chat icon
+ * (SVG, PNG…) into a padded label texture and a grayscale bump map.
+ *
+ * Optimization: on save, textures and bump maps can be scaled down to a
+ * power-of-two maximum size (keeping their aspect ratio), re-encoded as
+ * WebP, or re-encoded as they are to strip their metadata.  Re-encoding
+ * through a canvas drops every metadata chunk (EXIF, color profiles,
+ * editor data).
+ */
+
+/** Size of the generated textures, in pixels (square). */
+export const TEXTURE_SIZE = 256;
+
+/** Margin kept around an icon, as a fraction of the texture size. */
+const ICON_PADDING = 0.12;
+
+/** Font used when a face does not name one. */
+export const DEFAULT_GLYPH_FONT = "Arial";
+
+/** Color used when neither the face nor the dice appearance sets one. */
+export const DEFAULT_GLYPH_COLOR = "#ffffff";
+
+/** File names given to generated assets: glyph-<face number>.png */
+const GLYPH_FILE = /\/glyph-\d+\.png$/;
+
+/**
+ * Whether a path points to a file generated from a glyph (and may be
+ * overwritten when the glyph changes).
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isGlyphAsset(path) {
+    return GLYPH_FILE.test(String(path || "").split("?")[0]);
+}
+
+/**
+ * Path of a rewritten file with a fresh version query, so browsers and
+ * DSN don't keep serving the old image cached under the same URL.
+ * @param {string} path
+ * @returns {string}
+ */
+export function versionedPath(path) {
+    return `${String(path).split("?")[0]}?v=${Date.now()}`;
+}
+
+/**
+ * File name of a generated asset.
+ * @param {number} index  0-based face index
+ * @returns {string}
+ */
+export function glyphFileName(index) {
+    return `glyph-${index + 1}.png`;
+}
+
+/**
+ * Draw a glyph centered on a square canvas, scaled to fit.
+ * @param {string} glyph
+ * @param {object} options
+ * @param {string} options.font
+ * @param {string} options.fill         Glyph color
+ * @param {string|null} options.background  Canvas fill, null = transparent
+ * @param {number} options.size
+ * @returns {HTMLCanvasElement}
+ */
+function drawGlyph(glyph, { font, fill, background, size }) {
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+    }
+
+    // Fit the text inside ~70% of the face, whatever its length
+    let px = Math.round(size * 0.7);
+    ctx.font = `${px}px "${font}"`;
+    const width = ctx.measureText(glyph).width;
+    if (width > size * 0.8) {
+        px = Math.floor(px * (size * 0.8) / width);
+        ctx.font = `${px}px "${font}"`;
+    }
+    ctx.fillStyle = fill;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(glyph, size / 2, size / 2);
+    return canvas;
+}
+
+/**
+ * Canvas → PNG File.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} name
+ * @returns {Promise<File>}
+ */
+function canvasToFile(canvas, name) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(new File([blob], name, { type: "image/png" }));
+            else reject(new Error(`could not encode ${name}`));
+        }, "image/png");
+    });
+}
+
+/**
+ * Rasterize a glyph face into its DSN label texture and bump map.
+ * @param {object} face     Face with `glyph`, `glyphFont`, `glyphColor`
+ * @param {number} index    0-based face index (used for file names)
+ * @param {object} [options]
+ * @param {string} [options.color]  Fallback color (e.g. the dice foreground)
+ * @param {number} [options.size]
+ * @returns {Promise<{ texture: File, bump: File }>}
+ */
+export async function rasterizeGlyph(face, index, { color, size = TEXTURE_SIZE } = {}) {
+    const font = face.glyphFont || DEFAULT_GLYPH_FONT;
+    // Web fonts are only drawn on a canvas once loaded
+    try {
+        await document.fonts.load(`${size}px "${font}"`, face.glyph);
+    } catch {
+        /* unknown font: the browser falls back to its default */
+    }
+
+    const name = glyphFileName(index);
+    const texture = drawGlyph(face.glyph, {
+        font,
+        fill: face.glyphColor || color || DEFAULT_GLYPH_COLOR,
+        background: null,
+        size,
+    });
+    const bump = drawGlyph(face.glyph, { font, fill: "#000000", background: "#ffffff", size });
+    return {
+        texture: await canvasToFile(texture, name),
+        bump: await canvasToFile(bump, name),
+    };
+}
+
+/* ─── Icons ─── */
+
+/**
+ * File name of an asset generated from a face icon.
+ * @param {number} index  0-based face index
+ * @returns {string}
+ */
+export function iconFileName(index) {
+    return `icon-${index + 1}.png`;
+}
+
+/**
+ * Load an image, waiting for it to decode.
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = "anonymous";
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`could not load ${src}`));
+        img.src = src;
+    });
+}
+
+/**
+ * Turn a drawn icon into an engraved bump map: the icon's shape (its
+ * alpha, or its darkness for opaque images) in black on white.
+ * @param {HTMLCanvasElement} source
+ * @param {boolean} transparent  Whether the icon itself has transparency
+ * @returns {HTMLCanvasElement}
+ */
+function iconBump(source, transparent) {
+    const { width, height } = source;
+    const data = source.getContext("2d").getImageData(0, 0, width, height);
+    const px = data.data;
+
+    for (let i = 0; i < px.length; i += 4) {
+        const luminance = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+        // Padding is transparent either way and stays flat
+        const depth = transparent || px[i + 3] === 0 ? px[i + 3] : 255 - luminance;
+        px[i] = px[i + 1] = px[i + 2] = 255 - depth;
+        px[i + 3] = 255;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").putImageData(data, 0, 0);
+    return canvas;
+}
+
+/**
+ * Rasterize a face icon into a padded label texture and a bump map.
+ * @param {string} src      Icon path (SVG, PNG, WebP…)
+ * @param {number} index    0-based face index (used for file names)
+ * @param {object} [options]
+ * @param {number} [options.size]
+ * @returns {Promise<{ texture: File, bump: File }>}
+ */
+export async function rasterizeIcon(src, index, { size = TEXTURE_SIZE } = {}) {
+    const img = await loadImage(src);
+    // SVGs without intrinsic size report 0: treat them as square
+    const iw = img.naturalWidth || size;
+    const ih = img.naturalHeight || size;
+    const box = size * (1 - 2 * ICON_PADDING);
+    const scale = Math.min(box / iw, box / ih);
+    const w = iw * scale;
+    const h = ih * scale;
+
+    const x = Math.round((size - w) / 2);
+    const y = Math.round((size - h) / 2);
+    const texture = document.createElement("canvas");
+    texture.width = texture.height = size;
+    const ctx = texture.getContext("2d");
+    ctx.drawImage(img, x, y, w, h);
+
+    // Opaque images (JPG, PNG without alpha) engrave their dark parts
+    const inner = ctx.getImageData(x, y, Math.max(Math.floor(w), 1), Math.max(Math.floor(h), 1)).data;
+    let transparent = false;
+    for (let i = 3; i < inner.length; i += 4) {
+        if (inner[i] < 255) {
+            transparent = true;
+            break;
+        }
+    }
+
+    const name = iconFileName(index);
+    return {
+        texture: await canvasToFile(texture, name),
+        bump: await canvasToFile(iconBump(texture, transparent), name),
+    };
+}
+
+/* ─── Optimization ─── */
+
+/**
+ * Size of an image scaled down so its largest side fits `max`, keeping
+ * its aspect ratio.  Images already small enough keep their size: they
+ * are never scaled up.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} max  Largest side in pixels (a power of two)
+ * @returns {{ width: number, height: number }}
+ */
+export function fitSize(width, height, max) {
+    const scale = Math.min(1, max / Math.max(width, height, 1));
+    return {
+        width: Math.max(Math.round(width * scale), 1),
+        height: Math.max(Math.round(height * scale), 1),
+    };
+}
+
+/**
+ * Resize and / or re-encode an image.
+ * @param {Blob} blob       Source image
+ * @param {string} name     Source file name
+ * @param {object} options
+ * @param {number} options.maxSize        Largest side in pixels, 0 = keep the size
+ * @param {boolean} options.webp          Convert to WebP
+ * @param {boolean} options.stripMetadata Always re-encode, which drops metadata
+ * @returns {Promise<File|null>}  The optimized file, or null when there is
+ *   nothing to do (right size and format already, or not smaller, and no
+ *   metadata to strip)
+ */
+export async function optimizeImage(blob, name, { maxSize, webp, stripMetadata }) {
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = maxSize
+        ? fitSize(bitmap.width, bitmap.height, maxSize)
+        : { width: bitmap.width, height: bitmap.height };
+    const resized = width !== bitmap.width || height !== bitmap.height;
+
+    const type = webp ? "image/webp" : blob.type || "image/png";
+    const converted = type !== blob.type;
+    if (!resized && !converted && !stripMetadata) {
+        bitmap.close();
+        return null;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const out = await new Promise((resolve) => canvas.toBlob(resolve, type, 0.9));
+    if (!out) return null;
+    // Browsers without a WebP encoder fall back to PNG
+    if (!resized && !stripMetadata && out.size >= blob.size) return null;
+    const ext = { "image/webp": "webp", "image/jpeg": "jpg" }[out.type] ?? "png";
+    return new File([out], `${name.replace(/\.[^.]+$/, "")}.${ext}`, { type: out.type });
+}
@@ -0,0 +1,232 @@
+/**
+ * Exotik Dices – Roll table integration.
+ *
+ * A RollTable whose formula uses exotic dice (e.g. "1dh" or "2dh + 1dc")
+ * can key its results on face labels and symbol tallies instead of numeric
+ * ranges.  Each TableResult may carry a `match` flag:
+ *
+ *   "Cuori"                 at least one Cuori (symbol or face label)
+ *   "success>=2"            two or more successes, after cancellation
+ *   "success>=1, threat=0"  every condition must hold
+ *
+ * Results without a `match` flag keep using their numeric range against
+ * the roll total: face values, or face numbers for dice without values
+ * (see createDiceClass).  The drawn faces are shown next to the result in
+ * chat.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { symbolHtml } from "./symbols.js";
+
+/** "name op count", e.g. "success>=2" */
+const CONDITION = /^(.+?)\s*(>=|<=|!=|=|>|<)\s*(\d+)$/;
+
+/** table -> resolved roll data, while RollTable#roll is running */
+const _pendingDraws = new WeakMap();
+
+/** Shortcut to our public API (resolveRoll, getDefinition). */
+function api() {
+    return game.modules.get(MODULE_ID).api;
+}
+
+/**
+ * Split a match string into conditions.  A bare name means "at least one".
+ * @param {string} text
+ * @returns {{ name: string, op: string, count: number }[]}
+ */
+export function parseMatch(text) {
+    return String(text || "")
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+            const m = part.match(CONDITION);
+            return m
+                ? { name: m[1], op: m[2], count: parseInt(m[3]) }
+                : { name: part, op: ">=", count: 1 };
+        });
+}
+
+/**
+ * How many of `name` a resolved roll shows: the net count of the symbol
+ * whose id or label matches, else the number of active dice whose face
+ * label matches.  Names are case-insensitive.
+ * @param {string} name
+ * @param {object} data  Output of api.resolveRoll()
+ * @returns {number}
+ */
+function countOf(name, data) {
+    const n = name.toLowerCase();
+    for (const [key, count] of Object.entries(data.net)) {
+        const label = data.symbols[key]?.label || "";
+        if (key.toLowerCase() === n || label.toLowerCase() === n) return count;
+    }
+    return data.results.filter((r) => r.active && r.label.toLowerCase() === n).length;
+}
+
+/**
+ * Whether a resolved roll satisfies a match string.
+ * @param {string} text
+ * @param {object} data  Output of api.resolveRoll()
+ * @returns {boolean}
+ */
+export function matchesRoll(text, data) {
+    const conditions = parseMatch(text);
+    if (!conditions.length) return false;
+    return conditions.every(({ name, op, count }) => {
+        const actual = countOf(name, data);
+        switch (op) {
+            case ">=": return actual >= count;
+            case "<=": return actual <= count;
+            case ">": return actual > count;
+            case "<": return actual < count;
+            case "!=": return actual !== count;
+            default: return actual === count;
+        }
+    });
+}
+
+/**
+ * Whether a table formula uses at least one exotic dice.
+ * @param {string} formula
+ * @returns {boolean}
+ */
+function isExotikFormula(formula) {
+    try {
+        return new Roll(formula || "").dice.some(
+            (term) => !!api().getDefinition(term.constructor?.DENOMINATION),
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether any result of a table is keyed by a match string.
+ * @param {RollTable} table
+ * @returns {boolean}
+ */
+function hasMatches(table) {
+    return table.results.some((r) => r.getFlag(MODULE_ID, "match"));
+}
+
+/* ---------------------------------------- */
+/*  RollTable patches                        */
+/* ---------------------------------------- */
+
+/**
+ * Patch RollTable so draws can select results by label / tally.
+ * RollTable#roll evaluates the roll up front and remembers its resolved
+ * data; getResultsForRoll then uses it for results with a `match` flag.
+ */
+export function patchRollTables() {
+    const proto = foundry.documents.RollTable.prototype;
+
+    const originalRoll = proto.roll;
+    proto.roll = async function (options = {}) {
+        if (!hasMatches(this)) return originalRoll.call(this, options);
+
+        const roll = options.roll instanceof Roll
+            ? options.roll
+            : Roll.create(this.formula);
+        if (!roll._evaluated) await roll.evaluate();
+
+        const data = api().resolveRoll(roll);
+        if (data) _pendingDraws.set(this, data);
+        try {
+            return await originalRoll.call(this, { ...options, roll });
+        } finally {
+            _pendingDraws.delete(this);
+        }
+    };
+
+    const originalGetResults = proto.getResultsForRoll;
+    proto.getResultsForRoll = function (value) {
+        const data = _pendingDraws.get(this);
+        if (!data) return originalGetResults.call(this, value);
+
+        return this.results.filter((r) => {
+            if (r.drawn) return false;
+            const match = r.getFlag(MODULE_ID, "match");
+            if (match) return matchesRoll(match, data);
+            // Symbol-only dice total their face numbers, so ranges still work
+            const [lo, hi] = r.range;
+            return value >= lo && value <= hi;
+        });
+    };
+}
+
+/* ---------------------------------------- */
+/*  Sheet & chat                             */
+/* ---------------------------------------- */
+
+/**
+ * Add a "match" input to every result row of a RollTable sheet whose
+ * formula uses exotic dice.
+ * @param {foundry.applications.api.ApplicationV2} app
+ * @param {HTMLElement} html
+ */
+export function injectMatchInputs(app, html) {
+    const table = app.document;
+    if (!table || !isExotikFormula(table.formula)) return;
+
+    const placeholder = game.i18n.localize("EKD.Table.MatchPlaceholder");
+    const title = game.i18n.localize("EKD.Table.MatchHint");
+    for (const row of html.querySelectorAll("[data-result-id]")) {
+        if (row.querySelector(".ekd-table-match")) continue;
+        const result = table.results.get(row.dataset.resultId);
+        if (!result) continue;
+
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "ekd-table-match";
+        input.value = result.getFlag(MODULE_ID, "match") || "";
+        input.placeholder = placeholder;
+        input.title = title;
+        input.disabled = !app.isEditable;
+        input.addEventListener("change", async (event) => {
+            event.stopPropagation();
+            const value = input.value.trim();
+            if (value) await result.setFlag(MODULE_ID, "match", value);
+            else await result.unsetFlag(MODULE_ID, "match");
+        });
+
+        // Next to the range inputs when the row has them
+        const rangeInput = [...row.querySelectorAll("input[name*='range']")].pop();
+        (rangeInput?.parentElement ?? row).append(input);
+    }
+}
+
+/**
+ * Show the drawn faces next to the result of a table draw message.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+export function decorateTableDraw(message, html) {
+    if (!message.getFlag("core", "RollTable") || !message.rolls?.length) return;
+    const data = api().resolveRoll(message.rolls[0]);
+    if (!data) return;
+
+    const faces = data.results
+        .filter((r) => r.active)
+        .map((r) => {
+            const symbols = r.icon
+                ? [{ label: r.label, icon: r.icon }]
+                : r.symbols.filter((s) => s.icon || s.glyph);
+            // symbolHtml escapes the label; so does the text fallback
+            return symbols
+                .map((s) => symbolHtml({ ...s, label: r.label }, "ekd-table-face"))
+                .join("") ||
+                `<span class="ekd-table-face">${foundry.utils.escapeHTML(String(r.label ?? ""))}</span>`;
+        })
+        .join("");
+    if (!faces) return;
+
+    for (const result of html.querySelectorAll(".table-result, .table-results li")) {
+        if (result.querySelector(".ekd-table-faces")) continue;
+        result.insertAdjacentHTML(
+            "afterbegin",
+            `<span class="ekd-table-faces">${faces}</span>`,
+        );
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Exotik Dices – Symbol resolution & tallies.
+ *
+ * A face yields one or more symbols.  Faces with a `symbols` map
+ * (e.g. `{ success: 2, advantage: 1 }`) resolve through the die's shared
+ * symbol table (`def.symbols`); plain faces count as a single symbol made
+ * of their own label and icon (or glyph), so older dice.json files keep
+ * working.
+ */
+
+import { resolveFace } from "./ExotikDiceConfig.js";
+
+/**
+ * Look up a symbol in a definition's symbol table.
+ * @param {object} def
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getSymbol(def, id) {
+    return (def?.symbols || []).find((s) => s.id === id) ?? null;
+}
+
+/**
+ * Resolve the symbols shown by a face.
+ * @param {object} def    Dice definition
+ * @param {number} index  0-based face index
+ * @returns {{ key: string, label: string, icon: string, glyph?: object, count: number }[]}
+ */
+export function faceSymbols(def, index) {
+    const face = resolveFace(def?.faceMap || [], index);
+    if (!face) return [];
+
+    const entries = Object.entries(face.symbols || {}).filter(([, n]) => n > 0);
+    if (entries.length) {
+        const symbols = [];
+        for (const [id, count] of entries) {
+            const sym = getSymbol(def, id);
+            if (!sym) continue;
+            symbols.push({
+                key: sym.id,
+                label: sym.label || sym.id,
+                icon: sym.icon || "",
+                count,
+            });
+        }
+        return symbols;
+    }
+
+    // Plain face: only faces with an icon, glyph or label take part in tallies
+    if (!face.icon && !face.glyph && !face.label) return [];
+    return [{
+        key: face.label || face.icon || face.glyph,
+        label: face.label || "",
+        icon: face.icon || "",
+        glyph: faceGlyph(face),
+        count: 1,
+    }];
+}
+
+/**
+ * Glyph of a face, for faces drawn from text rather than images.
+ * @param {object} face
+ * @returns {{ text: string, font: string, color: string }|undefined}
+ */
+export function faceGlyph(face) {
+    if (!face?.glyph) return undefined;
+    return { text: face.glyph, font: face.glyphFont || "", color: face.glyphColor || "" };
+}
+
+/**
+ * Add a list of symbols to a running tally (mutates `tally`).
+ * @param {Map<string, object>} tally  key -> { key, label, icon, count }
+ * @param {object[]} symbols          Output of faceSymbols()
+ */
+export function addToTally(tally, symbols) {
+    for (const sym of symbols) {
+        if (!tally.has(sym.key)) tally.set(sym.key, { ...sym, count: 0 });
+        tally.get(sym.key).count += sym.count;
+    }
+    return tally;
+}
+
+/**
+ * Tally the symbols of all active results.
+ * @param {{ denomination: string, result: number, active: boolean }[]} results
+ * @param {Map<string, object>} definitions  denomination -> dice definition
+ * @returns {Map<string, object>}  key -> { key, label, icon, count }
+ */
+export function tallyResults(results, definitions) {
+    const tally = new Map();
+    for (const r of results) {
+        if (!r.active) continue;
+        const def = definitions.get(r.denomination);
+        addToTally(tally, faceSymbols(def, r.result - 1));
+    }
+    return tally;
+}
+
+/** Color values allowed in a glyph style: #hex, names, rgb()/hsl(). */
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/]+\))$/i;
+
+/**
+ * HTML for a single symbol: its icon, its glyph as styled text, or its
+ * label as text.  Everything comes from dice.json, the API or an
+ * imported ZIP, so it is escaped.
+ * @param {{ label: string, icon: string, glyph?: object }} sym
+ * @param {string} [cssClass]
+ * @returns {string}
+ */
+export function symbolHtml(sym, cssClass = "ekd-summary-icon") {
+    const escape = foundry.utils.escapeHTML;
+    const label = escape(String(sym.label ?? ""));
+    if (sym.icon) return `<img src="${escape(sym.icon)}" class="${cssClass}" title="${label}"/>`;
+    if (sym.glyph) {
+        const { text, font, color } = sym.glyph;
+        // Font and color come from dice.json: keep them inside the style
+        const safeFont = String(font || "").replace(/['"\\;{}<>]/g, "");
+        const safeColor = CSS_COLOR.test(color || "") ? color : "";
+        const style = [
+            safeFont ? `font-family:'${safeFont}'` : "",
+            safeColor ? `color:${safeColor}` : "",
+        ].filter(Boolean).join(";");
+        return `<span class="ekd-glyph ${cssClass}" style="${escape(style)}" ` +
+            `title="${label}">${escape(String(text ?? ""))}</span>`;
+    }
+    return `<span>${label}</span>`;
+}
+
+/* ─── Cancellation ─── */
+
+/**
+ * Collect the cancellation rules of a set of definitions, without
+ * duplicates, in definition order.
+ * @param {object[]} defs
+ * @returns {{ symbol: string, cancels: string }[]}
+ */
+export function cancellationRules(defs) {
+    const seen = new Set();
+    const rules = [];
+    for (const def of defs) {
+        for (const rule of def?.cancellations || []) {
+            if (!rule?.symbol || !rule?.cancels) continue;
+            const key = `${rule.symbol}>${rule.cancels}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            rules.push({ symbol: rule.symbol, cancels: rule.cancels });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Apply opposition rules to a tally: each rule removes as many pairs as
+ * possible ("success cancels failure" → min(success, failure) of each).
+ * Rules are applied in order; the input tally is left untouched.
+ *
+ * @param {Map<string, object>} tally
+ * @param {{ symbol: string, cancels: string }[]} rules
+ * @returns {{ net: Map<string, object>, cancelled: { symbol: object, cancels: object, count: number }[] }}
+ */
+export function applyCancellations(tally, rules) {
+    const net = new Map();
+    for (const [key, sym] of tally) net.set(key, { ...sym });
+
+    const cancelled = [];
+    for (const rule of rules) {
+        const a = net.get(rule.symbol);
+        const b = net.get(rule.cancels);
+        if (!a || !b) continue;
+        const count = Math.min(a.count, b.count);
+        if (count <= 0) continue;
+        a.count -= count;
+        b.count -= count;
+        cancelled.push({ symbol: { ...a }, cancels: { ...b }, count });
+    }
+    return { net, cancelled };
+}
+
+/**
+ * Representative icon of a dice: the first face icon, else the first
+ * symbol icon.  Used by lists such as the dice tray.
+ * @param {object} def
+ * @returns {string}
+ */
+export function diceIcon(def) {
+    for (let i = 0; i < (def?.faceMap?.length || 0); i++) {
+        const icon = resolveFace(def.faceMap, i)?.icon;
+        if (icon) return icon;
+    }
+    return (def?.symbols || []).find((s) => s.icon)?.icon || "";
+}